@@ -12,9 +12,10 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
     @memberof PersonalityQuiz
     @param {Object} params
     @param {number} id
+    @param {Object} [extras] Extra data from H5P, e.g. the previousState to resume from
     @constructor
   */
-  function PersonalityQuiz(params, id) {
+  function PersonalityQuiz(params, id, extras) {
     var self = this;
 
     self.classPrefix = 'h5p-personality-quiz-';
@@ -22,11 +23,41 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
     self.resultTitle = params.resultScreen.displayTitle;
     self.resultDescription = params.resultScreen.displayDescription;
     self.resultImagePosition = params.resultScreen.imagePosition;
+    self.tieBreaker = params.resultScreen.tieBreaker || 'first';
+    self.tieBreakerPriority = (params.resultScreen.tieBreakerPriority || '').split(',').map(function (id) {
+      return id.trim();
+    });
+    self.breakdown = params.resultScreen.breakdown || 'none';
+    self.breakdownTitle = params.resultScreen.breakdownTitle;
+    self.breakdownText = params.resultScreen.breakdownText || '@personality: @percentage%';
     self.progressText = params.progressText;
+    self.allowBack = params.allowBack !== false;
+    self.randomizeQuestions = params.randomizeQuestions === true;
+    self.randomizeAnswers = params.randomizeAnswers === true;
+    self.leadForm = (params.leadForm && params.leadForm.enabled) ? params.leadForm : null;
     self.personalities = params.personalities;
-    self.numQuestions = params.questions.length;
+    self.questions = params.questions;
+
+    // NOTE: Answers reference personalities by id. Personalities authored before
+    // ids existed get one derived from their name.
+    self.personalities.forEach(function (personality, index) {
+      personality.id = personality.id || toId(personality.name) || 'personality-' + (index + 1);
+      personality.ctas = (personality.ctas || []).filter(function (cta) {
+        return cta.label && isSafeUrl(cta.url);
+      });
+      personality.ctas.forEach(function (cta, ctaIndex) {
+        cta.id = cta.id || toId(cta.label) || 'cta-' + (ctaIndex + 1);
+        cta.url = cta.url.trim();
+      });
+    });
+    // NOTE: Answers may jump to a question by id, see getNextQuestion.
+    self.questions.forEach(function (question, index) {
+      question.id = question.id || 'question-' + (index + 1);
+    });
 
-    self.slidePercentage = 100 / self.numQuestions;
+    // NOTE: With a pool size, each attempt asks a selection of the questions, see drawPool.
+    self.poolSize = (params.poolSize > 0 && params.poolSize < params.questions.length) ? Math.floor(params.poolSize) : 0;
+    self.numQuestions = self.poolSize || params.questions.length;
 
     var loadingImages = [];
 
@@ -46,9 +77,169 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
     var animation = ((body.style.animationName !== undefined) && params.animation);
 
     var resizeEventHandler = null;
+    var fadeOutHandler = null;
+
+    // NOTE: Only the first attach resumes the previous state, a retake starts over.
+    var previousState = (extras && extras.previousState) ? extras.previousState : null;
+
+    // NOTE: Tags allowed in personality descriptions, with their allowed attributes.
+    var descriptionTags = {
+      p: [], br: [], strong: [], b: [], em: [], i: [], u: [],
+      ul: [], ol: [], li: [],
+      a: ['href', 'target', 'title']
+    };
+
+    // NOTE: Extension IRIs used to carry personality data in xAPI results.
+    var xAPIExtensions = {
+      personality: 'https://h5p.org/x-api/personality-quiz/personality',
+      personalities: 'https://h5p.org/x-api/personality-quiz/personalities',
+      revision: 'https://h5p.org/x-api/personality-quiz/revision',
+      seed: 'https://h5p.org/x-api/personality-quiz/seed',
+      pool: 'https://h5p.org/x-api/personality-quiz/pool',
+      total: 'https://h5p.org/x-api/personality-quiz/total',
+      cta: 'https://h5p.org/x-api/personality-quiz/cta'
+    };
 
     EventDispatcher.call(self);
 
+    /**
+      Creates an identifier from a display name, e.g. 'The Visionary 🌟' becomes 'the-visionary'.
+
+      @param {string} name
+      @return {string}
+    */
+    function toId(name) {
+      return String(name || '')
+        .replace(/<[^>]*>/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+      Creates a pseudo random number generator from a seed string, so the
+      same seed always gives the same sequence of numbers.
+
+      @param {string} seed
+      @return {function} Returns numbers in the range [0, 1)
+    */
+    function seededRandom(seed) {
+      var state = 0;
+      var i;
+
+      for (i = 0; i < seed.length; i++) {
+        state = (Math.imul(state, 31) + seed.charCodeAt(i)) | 0;
+      }
+
+      // NOTE: mulberry32
+      return function () {
+        var t;
+
+        state = (state + 0x6D2B79F5) | 0;
+        t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    /**
+      Shuffles a list in place (Fisher-Yates).
+
+      @param {Array} list
+      @param {function} random A generator from seededRandom
+      @return {Array} The list
+    */
+    function shuffle(list, random) {
+      var i, j, swap;
+
+      for (i = list.length - 1; i > 0; i--) {
+        j = Math.floor(random() * (i + 1));
+        swap = list[i];
+        list[i] = list[j];
+        list[j] = swap;
+      }
+
+      return list;
+    }
+
+    /**
+      Draws the questions for an attempt from the pool. Questions are grouped
+      by category and drawn from each category in turn, so every category,
+      e.g. a personality dimension, is asked about when the pool size allows.
+
+      @param {function} random A generator from seededRandom
+      @return {number[]} The positions of the drawn questions, in authoring order
+    */
+    function drawPool(random) {
+      var categories = {};
+      var names = [];
+      var drawn = [];
+      var round = 0;
+
+      self.questions.forEach(function (question, index) {
+        var category = String(question.category || '').trim();
+
+        if (!categories[category]) {
+          categories[category] = [];
+          names.push(category);
+        }
+        categories[category].push(index);
+      });
+
+      names.forEach(function (name) {
+        shuffle(categories[name], random);
+      });
+
+      while (drawn.length < self.poolSize) {
+        names.forEach(function (name) {
+          if (drawn.length < self.poolSize && categories[name][round] !== undefined) {
+            drawn.push(categories[name][round]);
+          }
+        });
+        round++;
+      }
+
+      return drawn.sort(function (a, b) {
+        return a - b;
+      });
+    }
+
+    /**
+      Decides which questions are asked and the order questions and answers
+      are shown in for the attempt. The same seed always gives the same
+      result: the pool is drawn first, then the questions are shuffled, then
+      the answers of each question in authoring order.
+
+      @param {number[]} [pool] The questions drawn earlier in the attempt
+    */
+    function arrange(pool) {
+      var random = seededRandom(self.seed);
+      var positions = function (list) {
+        return list.map(function (item, index) {
+          return index;
+        });
+      };
+
+      // NOTE: The pool is drawn even when resuming, so the shuffles below get the same numbers.
+      self.pool = self.poolSize ? drawPool(random) : null;
+      if (self.pool && pool) {
+        self.pool = pool.slice();
+      }
+
+      // NOTE: The order questions are asked in, unless an answer jumps.
+      self.order = self.pool ? self.pool.slice() : positions(self.questions);
+      if (self.randomizeQuestions) {
+        shuffle(self.order, random);
+      }
+
+      self.answerOrder = self.questions.map(function (question) {
+        var order = positions(question.answers);
+
+        return self.randomizeAnswers ? shuffle(order, random) : order;
+      });
+    }
+
     /**
       Wrapper around H5P.getPath so as not to need id everywhere.
 
@@ -110,6 +301,538 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       return str;
     }
 
+    /**
+      Strips HTML tags from a string, used for plain text xAPI descriptions.
+
+      @param {string} html
+      @return {string}
+    */
+    function stripHtml(html) {
+      return $('<div>').html(html || '').text().trim();
+    }
+
+    /**
+      Tells if a link may be rendered: web, mail and phone links, and links
+      within the site. Anything else, e.g. javascript:, is not.
+
+      @param {string} url
+      @return {boolean}
+    */
+    function isSafeUrl(url) {
+      return /^(https?:\/\/|mailto:|tel:|\/|#)/i.test(String(url || '').trim());
+    }
+
+    /**
+      Removes everything but the allowed tags and attributes from authored
+      HTML. Scripts, styles and embedded content are removed with their
+      content, other tags are replaced by their content. The HTML is parsed
+      in a separate document, so nothing in it runs or loads meanwhile.
+
+      @param {string} html
+      @return {string}
+    */
+    function sanitizeHtml(html) {
+      var body = document.implementation.createHTMLDocument('').body;
+
+      body.innerHTML = html;
+      sanitizeChildren(body);
+
+      return body.innerHTML;
+    }
+
+    /**
+      Sanitizes the child nodes of an element, see sanitizeHtml.
+
+      @param {Node} node
+    */
+    function sanitizeChildren(node) {
+      Array.prototype.slice.call(node.childNodes).forEach(function (child) {
+        var tag = child.nodeName.toLowerCase();
+
+        if (child.nodeType === Node.TEXT_NODE) {
+          return;
+        }
+
+        if (child.nodeType !== Node.ELEMENT_NODE || /^(script|style|iframe|object|embed|template|noscript|svg|math)$/.test(tag)) {
+          node.removeChild(child);
+          return;
+        }
+
+        sanitizeChildren(child);
+
+        if (!descriptionTags[tag]) {
+          while (child.firstChild) {
+            node.insertBefore(child.firstChild, child);
+          }
+          node.removeChild(child);
+          return;
+        }
+
+        Array.prototype.slice.call(child.attributes).forEach(function (attribute) {
+          if (descriptionTags[tag].indexOf(attribute.name) === -1) {
+            child.removeAttribute(attribute.name);
+          }
+        });
+
+        if (tag === 'a') {
+          if (!isSafeUrl(child.getAttribute('href'))) {
+            child.removeAttribute('href');
+          }
+          if (child.getAttribute('target') === '_blank') {
+            child.setAttribute('rel', 'noopener noreferrer');
+          }
+          else {
+            child.removeAttribute('target');
+          }
+        }
+      });
+    }
+
+    /**
+      Turns a plain text description into HTML. Lines starting with a bullet
+      ('•', '-' or '*') become a list, other lines become paragraphs. The
+      text is used as is, H5P stores plain text fields HTML encoded.
+
+      @param {string} text
+      @return {string}
+    */
+    function textToHtml(text) {
+      var html = '';
+      var inList = false;
+
+      text.split(/\r?\n/).forEach(function (line) {
+        var bullet = /^\s*[•*-]\s*/.exec(line);
+        var content = (bullet ? line.substr(bullet[0].length) : line).trim();
+
+        if (!content) {
+          return;
+        }
+
+        if (bullet && !inList) {
+          html += '<ul>';
+        }
+        else if (!bullet && inList) {
+          html += '</ul>';
+        }
+        inList = !!bullet;
+
+        html += bullet ? '<li>' + content + '</li>' : '<p>' + content + '</p>';
+      });
+
+      return html + (inList ? '</ul>' : '');
+    }
+
+    /**
+      Prepares a personality description for rendering. Descriptions written
+      before rich text was supported are plain text.
+
+      @param {string} description
+      @return {string} Sanitized HTML
+    */
+    function formatDescription(description) {
+      description = String(description || '');
+
+      // NOTE: Text without any tags is taken to be plain text.
+      if (!/<[a-z][^>]*>/i.test(description)) {
+        description = textToHtml(description);
+      }
+
+      return sanitizeHtml(description);
+    }
+
+    /**
+      Creates a language map for xAPI definitions.
+
+      @param {string} text
+      @return {Object}
+    */
+    function languageMap(text) {
+      return { 'en-US': stripHtml(text) };
+    }
+
+    /**
+      Find a personality by id.
+
+      @param {string} personalityId
+      @return {Object|undefined}
+    */
+    function getPersonality(personalityId) {
+      var found;
+
+      self.personalities.forEach(function (personality) {
+        if (!found && personality.id === personalityId) {
+          found = personality;
+        }
+      });
+
+      return found;
+    }
+
+    /**
+      Resolves how much an answer counts towards each personality. Answers
+      declare weights per personality id; answers without weights fall back
+      to the comma separated list of personality names, each weighing 1.
+
+      @param {Object} answer
+      @return {Object[]} A list of { personality, weight } pairs.
+    */
+    function getAnswerWeights(answer) {
+      var weights = [];
+
+      if (answer.weights && answer.weights.length) {
+        answer.weights.forEach(function (entry) {
+          var personality = getPersonality(entry.personality);
+          var weight = Number(entry.weight);
+
+          if (personality && !isNaN(weight)) {
+            weights.push({ personality: personality, weight: weight });
+          }
+        });
+      }
+      else if (answer.personality) {
+        answer.personality.split(',').forEach(function (name) {
+          self.personalities.forEach(function (personality) {
+            if (personality.name.trim() === name.trim()) {
+              weights.push({ personality: personality, weight: 1 });
+            }
+          });
+        });
+      }
+
+      return weights;
+    }
+
+    /**
+      Get an identifier for the question at the given position.
+
+      @param {number} index
+      @return {string}
+    */
+    function getQuestionId(index) {
+      return self.questions[index].id;
+    }
+
+    /**
+      Find the position of a question by id.
+
+      @param {string} questionId
+      @return {number} -1 if there is no such question
+    */
+    function findQuestion(questionId) {
+      var found = -1;
+
+      self.questions.forEach(function (question, index) {
+        if (found === -1 && question.id === questionId) {
+          found = index;
+        }
+      });
+
+      return found;
+    }
+
+    /**
+      Decides which question follows an answer. An answer may jump to a
+      question by id or to the end of the quiz, otherwise the next question
+      in order that has not been answered yet follows.
+
+      @param {number} [questionIndex] The answered question, omit to get the first question
+      @param {number} [answerIndex]
+      @return {number|null} The next question, or null when the quiz is over
+    */
+    function getNextQuestion(questionIndex, answerIndex) {
+      var jumpTo, target, position;
+
+      if (questionIndex !== undefined) {
+        jumpTo = String(self.questions[questionIndex].answers[answerIndex].jumpTo || '').trim();
+
+        if (jumpTo === 'end') {
+          return null;
+        }
+
+        // NOTE: Jumps to questions already answered are ignored, they would loop.
+        // So are jumps to questions that were not drawn for the attempt.
+        target = findQuestion(jumpTo);
+        if (target !== -1 && self.order.indexOf(target) !== -1 && self.path.indexOf(target) === -1) {
+          return target;
+        }
+      }
+
+      position = (questionIndex === undefined) ? 0 : self.order.indexOf(questionIndex) + 1;
+
+      for (; position < self.order.length; position++) {
+        if (self.path.indexOf(self.order[position]) === -1) {
+          return self.order[position];
+        }
+      }
+
+      return null;
+    }
+
+    /**
+      Gets the question the learner is on, following the path of answers.
+
+      @return {number|null}
+    */
+    function getCurrentQuestion() {
+      var last = self.path.length - 1;
+
+      return (last < 0) ? getNextQuestion() : getNextQuestion(self.path[last], self.answers[last]);
+    }
+
+    /**
+      Counts the questions left on the path from the given question, which
+      is included. Jumps of answers not given yet are not known, so the
+      count follows the question order.
+
+      @param {number} questionIndex
+      @return {number}
+    */
+    function countRemaining(questionIndex) {
+      var count = 1;
+
+      self.order.slice(self.order.indexOf(questionIndex) + 1).forEach(function (index) {
+        if (self.path.indexOf(index) === -1) {
+          count++;
+        }
+      });
+
+      return count;
+    }
+
+    /**
+      Counts the questions on the learner's path: those answered so far and
+      those left from the given question.
+
+      @param {number|null} questionIndex The current question, null when the quiz is over
+      @return {number}
+    */
+    function countPathTotal(questionIndex) {
+      return self.answered + ((questionIndex === null) ? 0 : countRemaining(questionIndex));
+    }
+
+    /**
+      Creates an xAPI event for the given verb, with the registration of the
+      current attempt in the statement context.
+
+      @param {string} verb
+      @return {H5P.XAPIEvent}
+    */
+    function createXAPIEvent(verb) {
+      var xAPIEvent = self.createXAPIEventTemplate(verb);
+      var statement = xAPIEvent.data.statement;
+
+      statement.context = statement.context || {};
+      statement.context.registration = self.registration;
+
+      // NOTE: The seed lets analysts reconstruct the order the learner saw, see arrange.
+      if (self.randomizeQuestions || self.randomizeAnswers) {
+        statement.context.extensions = statement.context.extensions || {};
+        statement.context.extensions[xAPIExtensions.seed] = self.seed;
+      }
+
+      if (self.pool) {
+        statement.context.extensions = statement.context.extensions || {};
+        statement.context.extensions[xAPIExtensions.pool] = self.pool.map(getQuestionId);
+      }
+
+      return xAPIEvent;
+    }
+
+    /**
+      Triggers the 'attempted' xAPI statement when the quiz is started.
+    */
+    function triggerXAPIAttempted() {
+      var xAPIEvent = createXAPIEvent('attempted');
+
+      xAPIEvent.data.statement.object.definition.name = languageMap(params.titleScreen.title.text);
+
+      self.trigger(xAPIEvent);
+    }
+
+    /**
+      Creates an 'answered' xAPI event for a question, described as a
+      'choice' interaction. The number of questions on the path, as shown
+      by the progress bar, is sent in the context.
+
+      @param {number} questionIndex
+      @param {number} total The number of questions on the path
+      @return {H5P.XAPIEvent}
+    */
+    function createXAPIAnsweredEvent(questionIndex, total) {
+      var question = self.questions[questionIndex];
+      var xAPIEvent = createXAPIEvent('answered');
+      var statement = xAPIEvent.data.statement;
+      var definition = statement.object.definition;
+
+      if (statement.object.id) {
+        statement.object.id += '?subContentId=' + getQuestionId(questionIndex);
+      }
+
+      definition.name = languageMap(question.text);
+      definition.description = languageMap(question.text);
+      definition.type = 'http://adlnet.gov/expapi/activities/cmi.interaction';
+      definition.interactionType = 'choice';
+      definition.choices = question.answers.map(function (answer, index) {
+        return {
+          id: String(index),
+          description: languageMap(answer.text)
+        };
+      });
+
+      statement.context.extensions = statement.context.extensions || {};
+      statement.context.extensions[xAPIExtensions.total] = total;
+
+      return xAPIEvent;
+    }
+
+    /**
+      Triggers the 'answered' xAPI statement for a question. The selected
+      alternative is reported as the response. A changed answer carries the
+      response it replaces.
+
+      @param {number} questionIndex
+      @param {number} answerIndex
+      @param {Object[]} weights The personality weights of the answer
+      @param {Object} [revision] { number, previousAnswer } when the answer was changed
+      @param {number} total The number of questions on the path after this answer
+    */
+    function triggerXAPIAnswered(questionIndex, answerIndex, weights, revision, total) {
+      var xAPIEvent = createXAPIAnsweredEvent(questionIndex, total);
+      var statement = xAPIEvent.data.statement;
+
+      statement.result = {
+        response: String(answerIndex),
+        extensions: {}
+      };
+      statement.result.extensions[xAPIExtensions.personalities] = weights.map(function (entry) {
+        return {
+          id: entry.personality.id,
+          name: stripHtml(entry.personality.name),
+          weight: entry.weight
+        };
+      });
+
+      if (revision) {
+        statement.result.extensions[xAPIExtensions.revision] = {
+          number: revision.number,
+          previousResponse: String(revision.previousAnswer)
+        };
+      }
+
+      self.trigger(xAPIEvent);
+    }
+
+    /**
+      Triggers the 'answered' xAPI statement for a question whose answer is
+      taken back by going back to it. It has no response and no weights, the
+      revision marks the previous response as withdrawn.
+
+      @param {number} questionIndex
+      @param {Object} revision { number, previousAnswer } the answer given again will carry the same number
+      @param {number} total The number of questions on the path without the answer
+    */
+    function triggerXAPIAnswerWithdrawn(questionIndex, revision, total) {
+      var xAPIEvent = createXAPIAnsweredEvent(questionIndex, total);
+      var statement = xAPIEvent.data.statement;
+
+      statement.result = {
+        extensions: {}
+      };
+      statement.result.extensions[xAPIExtensions.personalities] = [];
+      statement.result.extensions[xAPIExtensions.revision] = {
+        number: revision.number,
+        previousResponse: String(revision.previousAnswer),
+        withdrawn: true
+      };
+
+      self.trigger(xAPIEvent);
+    }
+
+    /**
+      Triggers the 'resumed' xAPI statement when an attempt is restored.
+    */
+    function triggerXAPIResumed() {
+      var xAPIEvent = createXAPIEvent('resumed');
+
+      xAPIEvent.data.statement.object.definition.name = languageMap(params.titleScreen.title.text);
+
+      self.trigger(xAPIEvent);
+    }
+
+    /**
+      Triggers the 'completed' xAPI statement with the resulting personality.
+      A tie is reported with the strategy used to break it.
+
+      @param {Object} result The result from calculateResult
+    */
+    function triggerXAPICompleted(result) {
+      var xAPIEvent = createXAPIEvent('completed');
+      var statement = xAPIEvent.data.statement;
+      var personality = result.personalities[0];
+      var describe = function (p) {
+        return { id: p.id, name: stripHtml(p.name) };
+      };
+
+      statement.object.definition.name = languageMap(params.titleScreen.title.text);
+
+      statement.result = {
+        completion: true,
+        response: result.personalities.map(function (p) {
+          return stripHtml(p.name);
+        }).join(', '),
+        extensions: {}
+      };
+      statement.result.extensions[xAPIExtensions.personality] = {
+        id: personality.id,
+        name: stripHtml(personality.name),
+        results: result.personalities.map(describe),
+        counts: self.personalities.map(function (p) {
+          return { id: p.id, name: stripHtml(p.name), count: p.count };
+        })
+      };
+
+      if (result.tied.length > 1) {
+        statement.result.extensions[xAPIExtensions.personality].tie = {
+          strategy: result.strategy,
+          personalities: result.tied.map(describe)
+        };
+      }
+
+      self.trigger(xAPIEvent);
+    }
+
+    /**
+      Triggers the 'interacted' xAPI statement when a call to action on the
+      result screen is followed.
+
+      @param {Object} personality The personality the call to action belongs to
+      @param {Object} cta
+      @param {string} url The absolute URL of the link, relative URLs are not valid IRLs
+    */
+    function triggerXAPIInteracted(personality, cta, url) {
+      var xAPIEvent = createXAPIEvent('interacted');
+      var statement = xAPIEvent.data.statement;
+      var definition = statement.object.definition;
+
+      if (statement.object.id) {
+        statement.object.id += '?subContentId=' + personality.id + '-' + cta.id;
+      }
+
+      definition.name = languageMap(cta.label);
+      definition.type = 'http://adlnet.gov/expapi/activities/link';
+      definition.moreInfo = url;
+
+      statement.context.extensions = statement.context.extensions || {};
+      statement.context.extensions[xAPIExtensions.cta] = {
+        id: cta.id,
+        label: stripHtml(cta.label),
+        url: url,
+        personality: { id: personality.id, name: stripHtml(personality.name) }
+      };
+
+      self.trigger(xAPIEvent);
+    }
+
     /**
       Creates an element of 'type' and adds the attributes in the object 'attributes'.
       In addition some general styles are added to the element.
@@ -196,12 +919,16 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
         $slides.append($title);
       }
 
-      data.questions.forEach(function (question) {
-        $question = createQuestion(quiz, question);
+      self.order.forEach(function (index) {
+        $question = createQuestion(quiz, data.questions[index], index);
 
         $slides.append($question);
       });
 
+      if (self.leadForm) {
+        $slides.append(createLeadForm(quiz, self.leadForm));
+      }
+
       if (animation && self.resultAnimation === 'wheel') {
         $canvas = createCanvas();
 
@@ -312,13 +1039,17 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
 
       @param {PersonalityQuiz} quiz
       @param {Object} question A question instance from params
+      @param {number} index The position of the question in params
       @return {jQuery}
     */
-    function createQuestion(quiz, question) {
+    function createQuestion(quiz, question, index) {
       var $slide, $text, $image, $answer;
       var path, deferred, images, createAnswerButton;
 
-      $slide = $('<div>', { 'class': classes('question', 'slide') });
+      $slide = $('<div>', {
+        'class': classes('question', 'slide'),
+        'data-question': index
+      });
       $text = $('<h2>', {
         'class': classes('question-text'),
         'html': question.text
@@ -349,13 +1080,38 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
 
       createAnswerButton = images ? createImageAnswer : createAnswer;
 
-      $answer = createAnswerButton(question.answers, quiz.answerListener);
+      $answer = createAnswerButton(question.answers, self.answerOrder[index], quiz.answerListener);
 
       $slide.append($answer);
 
+      if (self.allowBack) {
+        $slide.append(createBackButton(quiz));
+      }
+
       return $slide;
     }
 
+    /**
+      Creates the button for going back to the previous question.
+
+      @param {PersonalityQuiz} quiz
+      @return {jQuery}
+    */
+    function createBackButton(quiz) {
+      var $wrapper = $('<div>', { 'class': classes('back-button-wrapper') });
+      var $button = createButton('button', {
+        'html': params.backText || 'Back',
+        'class': classes('button', 'back-button'),
+        'type': 'button'
+      });
+
+      addButtonListener($button, function () {
+        quiz.trigger('personality-quiz-back');
+      });
+
+      return $wrapper.append($button);
+    }
+
     /**
       Get the number of columns per row for image answers.
 
@@ -418,11 +1174,12 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
     /**
       Creates an answer with an image attached.
 
-      @param {Object} answer
+      @param {Object[]} answers
+      @param {number[]} order The positions of the answers in the order they are shown
       @param {listenerCallback} listener
       @return {jQuery}
     */
-    function createImageAnswer(answers, listener) {
+    function createImageAnswer(answers, order, listener) {
       var $wrapper, $answers, $row, $elements;
 
       var columns = getNumColumns();
@@ -432,13 +1189,14 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       $wrapper  = $('<div>', { 'class': classes('answers-wrapper') });
       $answers  = $('<ul>',  { 'class': classes('image-answers') });
 
-      $elements = answers.map(function (answer) {
+      $elements = order.map(function (index) {
         var $answer, $button, $image;
+        var answer = answers[index];
         var path = _getPath(answer.image.file.path);
 
         $answer = $('<div>', {
           'class': classes('column', 'columns-' + String(columns)),
-          'data-personality': answer.personality
+          'data-answer': index
         });
 
         $button = createButton('div', {
@@ -473,21 +1231,22 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
     /**
       Creates a button for the answer element.
 
-      @param {Object} answer
+      @param {Object[]} answers
+      @param {number[]} order The positions of the answers in the order they are shown
       @param {listenerCallback} listener
       @return {jQuery}
     */
-    function createAnswer(answers, listener) {
+    function createAnswer(answers, order, listener) {
       var $wrapper  = $('<div>', { 'class': classes('answers-wrapper') });
       var $answers  = $('<ul>',  { 'class': classes('answers')         });
 
       $answers.click(listener);
 
-      answers.forEach(function (answer) {
+      order.forEach(function (index) {
         var $answer = createButton('li', {
-          'data-personality': answer.personality,
+          'data-answer': index,
           'class': classes('button', 'answer'),
-          'html': answer.text
+          'html': answers[index].text
         });
 
         $answers.append($answer);
@@ -516,18 +1275,208 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
         'type': 'button'
       });
 
-      addButtonListener($button, function () {
-        quiz.trigger('personality-quiz-restart');
+      addButtonListener($button, function () {
+        quiz.trigger('personality-quiz-restart');
+      });
+
+      $container.append($button);
+
+      quiz.$resultWrapper = $wrapper;
+
+      $result.append($wrapper);
+      $result.append($container);
+
+      return $result;
+    }
+
+    /**
+      Creates the slide with the lead capture form, shown after the last
+      question. Nothing entered is kept unless the learner consents.
+
+      @param {PersonalityQuiz} quiz
+      @param {Object} data The leadForm params received from H5P
+      @return {jQuery}
+    */
+    function createLeadForm(quiz, data) {
+      var $slide, $form, $buttons, $submit, $skip, $consent;
+      var fields = [];
+
+      $slide = $('<div>', { 'class': classes('lead-form', 'slide') });
+      $form = $('<form>', { 'class': classes('lead-form-wrapper'), 'novalidate': 'novalidate' });
+
+      if (data.title) {
+        $form.append($('<h2>', { 'class': classes('lead-form-title'), 'html': data.title }));
+      }
+
+      if (data.description) {
+        $form.append($('<p>', { 'class': classes('lead-form-description'), 'html': data.description }));
+      }
+
+      [
+        { id: 'name', type: 'text', autocomplete: 'name', label: data.nameLabel || 'Name', use: data.name },
+        { id: 'email', type: 'email', autocomplete: 'email', label: data.emailLabel || 'Email', use: data.email },
+        { id: 'phone', type: 'tel', autocomplete: 'tel', label: data.phoneLabel || 'Phone', use: data.phone }
+      ].concat((data.customFields || []).map(function (field) {
+        return { id: field.id, custom: true, type: 'text', label: field.label, use: field.required ? 'required' : 'optional' };
+      })).forEach(function (field) {
+        if (!field.id || !field.use || field.use === 'hidden') {
+          return;
+        }
+
+        field.required = (field.use === 'required');
+        field.$input = createLeadInput(field);
+        fields.push(field);
+
+        $form.append(field.$input.parent());
+      });
+
+      $consent = createLeadInput({
+        id: 'consent',
+        type: 'checkbox',
+        label: data.consentText || 'I agree that my details are stored and used to contact me about my result.'
+      });
+      $form.append($consent.parent());
+
+      $buttons = $('<div>', { 'class': classes('lead-form-buttons') });
+      $submit = createButton('button', {
+        'html': data.submitText || 'Show my result',
+        'class': classes('button', 'lead-form-submit'),
+        'type': 'submit'
+      });
+      $buttons.append($submit);
+
+      if (data.skipText) {
+        $skip = createButton('button', {
+          'html': data.skipText,
+          'class': classes('button', 'lead-form-skip'),
+          'type': 'button'
+        });
+        addButtonListener($skip, function () {
+          quiz.trigger('personality-quiz-lead', null);
+        });
+        $buttons.append($skip);
+      }
+
+      $form.append($buttons);
+
+      $form.on('submit', function (event) {
+        var lead;
+
+        event.preventDefault();
+
+        lead = validateLeadForm(data, fields, $consent);
+        if (lead) {
+          quiz.trigger('personality-quiz-lead', lead);
+        }
+      });
+
+      $slide.append($form);
+
+      if (self.allowBack) {
+        $slide.append(createBackButton(quiz));
+      }
+
+      self.$leadForm = $slide;
+
+      return $slide;
+    }
+
+    /**
+      Creates a labelled input for the lead capture form, with a place for
+      its error message.
+
+      @param {Object} field
+      @return {jQuery} The input, wrapped in its field element
+    */
+    function createLeadInput(field) {
+      var inputId = prefix('lead-') + field.id + '-' + id;
+      var $field = $('<div>', { 'class': classes('lead-field', 'lead-field-' + field.type) });
+      var $input = $('<input>', {
+        'id': inputId,
+        'type': field.type,
+        'name': field.id,
+        'autocomplete': field.autocomplete,
+        'aria-describedby': inputId + '-error'
+      });
+      var $label = $('<label>', { 'for': inputId, 'html': field.label + (field.required ? ' *' : '') });
+
+      if (field.required) {
+        $input.attr('aria-required', 'true');
+      }
+
+      if (field.type === 'checkbox') {
+        $field.append($input, $label);
+      }
+      else {
+        $field.append($label, $input);
+      }
+
+      $field.append($('<p>', {
+        'id': inputId + '-error',
+        'class': classes('lead-field-error'),
+        'aria-live': 'polite'
+      }));
+
+      return $input;
+    }
+
+    /**
+      Validates the lead capture form and marks the invalid inputs.
+
+      @param {Object} data The leadForm params received from H5P
+      @param {Object[]} fields
+      @param {jQuery} $consent
+      @return {Object|null} The lead, or null if the form is not valid
+    */
+    function validateLeadForm(data, fields, $consent) {
+      var lead = { fields: {} };
+      var $invalid = $();
+
+      var setError = function ($input, message) {
+        $input.attr('aria-invalid', message ? 'true' : 'false');
+        $input.siblings(prefix('lead-field-error', true)).text(message || '');
+
+        if (message) {
+          $invalid = $invalid.add($input);
+        }
+      };
+
+      fields.forEach(function (field) {
+        var value = String(field.$input.val() || '').trim();
+        var message = '';
+
+        if (!value && field.required) {
+          message = data.requiredError || 'This field is required.';
+        }
+        else if (value && field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+          message = data.emailError || 'Please enter a valid email address.';
+        }
+        else if (value && field.type === 'tel' &&
+          !(/^\+?[0-9 ().-]+$/.test(value) && value.replace(/[^0-9]/g, '').length >= 6)) {
+          message = data.phoneError || 'Please enter a valid phone number.';
+        }
+
+        setError(field.$input, message);
+
+        if (field.custom) {
+          lead.fields[field.id] = value;
+        }
+        else {
+          lead[field.id] = value;
+        }
       });
 
-      $container.append($button);
+      setError($consent, $consent.is(':checked') ? '' : (data.consentError || 'Please give your consent to continue.'));
 
-      quiz.$resultWrapper = $wrapper;
+      if ($invalid.length) {
+        $invalid.first().focus();
+        return null;
+      }
 
-      $result.append($wrapper);
-      $result.append($container);
+      lead.consent = true;
+      lead.consentedAt = new Date().toISOString();
 
-      return $result;
+      return lead;
     }
 
     /**
@@ -569,6 +1518,200 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
     }
 
 
+    /**
+      Calculates each personality's share of the total count. Negative
+      counts are shown as a share of 0.
+
+      @return {Object[]} A list of { personality, percentage } in list order
+    */
+    function getShares() {
+      var total = 0;
+
+      self.personalities.forEach(function (personality) {
+        total += Math.max(personality.count, 0);
+      });
+
+      return self.personalities.map(function (personality) {
+        return {
+          personality: personality,
+          percentage: total > 0 ? Math.round(100 * Math.max(personality.count, 0) / total) : 0
+        };
+      });
+    }
+
+    /**
+      Gets the breakdown color of the personality at the given position,
+      alternating like the segments of the wheel of fortune.
+
+      @param {number} index
+      @return {string}
+    */
+    function getShareColor(index) {
+      var colors = PersonalityQuiz.WheelAnimation.segmentColors;
+
+      return index % 2 === 0 ? colors.even : colors.odd;
+    }
+
+    /**
+      Creates an SVG element, jQuery can not create elements in the SVG namespace.
+
+      @param {string} type
+      @param {Object} attributes
+      @return {Element}
+    */
+    function createSvgElement(type, attributes) {
+      var element = document.createElementNS('http://www.w3.org/2000/svg', type);
+
+      Object.keys(attributes).forEach(function (name) {
+        element.setAttribute(name, attributes[name]);
+      });
+
+      return element;
+    }
+
+    /**
+      Creates a radar chart with one axis per personality. With fewer than
+      three personalities the shape collapses into a line.
+
+      @param {Object[]} shares From getShares
+      @return {Element}
+    */
+    function createRadarChart(shares) {
+      var size = 200;
+      var center = size / 2;
+      var radius = center - 10;
+      var svg, points;
+
+      svg = createSvgElement('svg', {
+        'class': classes('breakdown-chart'),
+        'viewBox': '0 0 ' + size + ' ' + size,
+        'aria-hidden': 'true',
+        'focusable': 'false'
+      });
+
+      var pointAt = function (index, fraction) {
+        var angle = (2 * Math.PI * index / shares.length) - (Math.PI / 2);
+
+        return [
+          (center + Math.cos(angle) * radius * fraction).toFixed(2),
+          (center + Math.sin(angle) * radius * fraction).toFixed(2)
+        ].join(',');
+      };
+
+      // NOTE: Grid rings at 25% steps and one axis per personality.
+      [0.25, 0.5, 0.75, 1].forEach(function (fraction) {
+        svg.appendChild(createSvgElement('polygon', {
+          'class': classes('breakdown-grid'),
+          'points': shares.map(function (share, index) {
+            return pointAt(index, fraction);
+          }).join(' ')
+        }));
+      });
+
+      shares.forEach(function (share, index) {
+        var end = pointAt(index, 1).split(',');
+
+        svg.appendChild(createSvgElement('line', {
+          'class': classes('breakdown-grid'),
+          'x1': center,
+          'y1': center,
+          'x2': end[0],
+          'y2': end[1]
+        }));
+      });
+
+      points = shares.map(function (share, index) {
+        return pointAt(index, share.percentage / 100);
+      });
+
+      svg.appendChild(createSvgElement('polygon', {
+        'class': classes('breakdown-area'),
+        'points': points.join(' '),
+        'fill': getShareColor(0),
+        'stroke': getShareColor(0)
+      }));
+
+      points.forEach(function (point, index) {
+        point = point.split(',');
+
+        svg.appendChild(createSvgElement('circle', {
+          'cx': point[0],
+          'cy': point[1],
+          'r': 4,
+          'fill': getShareColor(index)
+        }));
+      });
+
+      return svg;
+    }
+
+    /**
+      Creates the score breakdown panel for the result screen. The text of
+      each row states the share, the bars and the radar chart only repeat
+      it visually and are hidden from screen readers.
+
+      @param {string} type Either 'bar' or 'radar'
+      @return {jQuery}
+    */
+    function createBreakdown(type) {
+      var shares = getShares();
+      var titleId = prefix('breakdown-title-') + id;
+      var $breakdown, $list;
+
+      $breakdown = $('<div>', {
+        'class': classes('breakdown', 'breakdown-' + type),
+        'role': 'group'
+      });
+
+      if (self.breakdownTitle) {
+        $breakdown.attr('aria-labelledby', titleId);
+        $breakdown.append($('<h3>', { 'id': titleId, 'html': self.breakdownTitle }));
+      }
+
+      if (type === 'radar') {
+        $breakdown.append(createRadarChart(shares));
+      }
+
+      $list = $('<ul>', { 'class': classes('breakdown-list') });
+
+      shares.forEach(function (share, index) {
+        var $item = $('<li>', { 'class': classes('breakdown-item') });
+
+        $item.append($('<span>', {
+          'class': classes('breakdown-swatch'),
+          'aria-hidden': 'true',
+          'css': { 'background-color': getShareColor(index) }
+        }));
+
+        $item.append($('<span>', {
+          'class': classes('breakdown-text'),
+          'text': interpolate(self.breakdownText, {
+            'personality': stripHtml(share.personality.name),
+            'percentage': share.percentage
+          })
+        }));
+
+        if (type === 'bar') {
+          $item.append($('<span>', {
+            'class': classes('breakdown-bar'),
+            'aria-hidden': 'true'
+          }).append($('<span>', {
+            'class': classes('breakdown-bar-fill'),
+            'css': {
+              'width': share.percentage + '%',
+              'background-color': getShareColor(index)
+            }
+          })));
+        }
+
+        $list.append($item);
+      });
+
+      $breakdown.append($list);
+
+      return $breakdown;
+    }
+
     /**
       Sets the height of the inline personality image.
 
@@ -601,7 +1744,7 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       @param {boolean} hasDescription
     */
     function appendPersonality(quiz, personality, hasTitle, hasImage, hasDescription) {
-      var $personality, $title, $description, $image;
+      var $personality, $title, $description, $image, $ctas;
 
       $title = createIf(hasTitle, '<h2>', { 'html': personality.name });
 
@@ -613,18 +1756,24 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
         });
       }
 
-      $description = createIf(hasDescription, '<p>', {
-        'html': personality.description
+      $description = createIf(hasDescription, '<div>', {
+        'class': classes('description'),
+        'html': formatDescription(personality.description)
       });
 
+      if (personality.ctas.length) {
+        $ctas = createCtas(personality);
+      }
+
       // NOTE (Emil): We only create $personality element if it has at least
       // one child element.
-      if (hasTitle || hasImage || hasDescription) {
+      if (hasTitle || hasImage || hasDescription || $ctas) {
         $personality = $('<div>', { 'class': classes('personality') });
 
         $personality.append($title);
         $personality.append($image);
         $personality.append($description);
+        $personality.append($ctas);
       }
 
       quiz.$resultWrapper.append($personality);
@@ -634,20 +1783,63 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       return $personality;
     }
 
+    /**
+      Creates the call to action links of a personality. Links are followed
+      as usual, the click is reported before the browser navigates.
+
+      @param {Object} personality
+      @return {jQuery}
+    */
+    function createCtas(personality) {
+      var $ctas = $('<div>', { 'class': classes('ctas') });
+
+      personality.ctas.forEach(function (cta) {
+        var style = cta.style || 'primary';
+        var attributes = {
+          'class': classes('cta', 'cta-' + style),
+          'href': cta.url,
+          'html': cta.label
+        };
+        var $cta;
+
+        if (cta.target === '_blank') {
+          attributes.target = '_blank';
+          attributes.rel = 'noopener noreferrer';
+        }
+
+        // NOTE: Plain links do not get the button colours.
+        if (style === 'link') {
+          $cta = $('<a>', attributes);
+        }
+        else {
+          attributes['class'] = classes('button', 'cta', 'cta-' + style);
+          $cta = createButton('a', attributes);
+        }
+
+        $cta.on('click', function () {
+          triggerXAPIInteracted(personality, cta, this.href);
+        });
+
+        $ctas.append($cta);
+      });
+
+      return $ctas;
+    }
+
     /**
       The click event listener if animations are enabled.
 
       @param {jQuery} $button
-      @param {Object[]} personalities The list of personalities associated with the $button
+      @param {Object} answer The question and answer index associated with the $button
     */
-    function animatedButtonListener($button, personalities) {
+    function animatedButtonListener($button, answer) {
       var animationClass = prefix('button-animate');
 
       $button.addClass(animationClass);
       $button.on('animationend', function () {
         $(this).removeClass(animationClass);
         $(this).off('animationend');
-        self.trigger('personality-quiz-answer', personalities);
+        self.trigger('personality-quiz-answer', answer);
       });
     }
 
@@ -655,10 +1847,10 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       Click event handler for disabled animation option.
 
       @param {jQuery}
-      @param {Object[]} personalities The personalities associated with the $button
+      @param {Object} answer The question and answer index associated with the $button
     */
-    function nonAnimatedButtonListener($button, personalities) {
-      self.trigger('personality-quiz-answer', personalities);
+    function nonAnimatedButtonListener($button, answer) {
+      self.trigger('personality-quiz-answer', answer);
     }
 
 
@@ -698,8 +1890,9 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
         $slide = $answer.parent().parent();
         var titleHeight = $slide.children(prefix('question-text', true)).outerHeight(true) || 0;
         var imageHeight = $slide.children(prefix('question-image', true)).outerHeight(true) || 0;
+        var backHeight = $slide.children(prefix('back-button-wrapper', true)).outerHeight(true) || 0;
 
-        var height = $slide.height() - (titleHeight + imageHeight);
+        var height = $slide.height() - (titleHeight + imageHeight + backHeight);
 
         setAnswerImageHeight($rows, height / $rows.length);
       });
@@ -728,6 +1921,15 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       resizeResult(self.$wrapper);
     }
 
+    /**
+      Window resize handler, shared by every attach so a restart does not
+      add another one.
+    */
+    function onWindowResize() {
+      clearTimeout(resizeEventHandler);
+      resizeEventHandler = setTimeout(resize, 100);
+    }
+
     /**
       Calculate and set the height of the slides in the quiz.
 
@@ -820,16 +2022,35 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
 
       self.reset();
 
+      // NOTE: A resumed attempt keeps its seed and questions, so they come in the same order.
+      if (previousState && isValidState(previousState)) {
+        self.seed = previousState.seed || self.seed;
+        arrange(previousState.pool);
+      }
+      else {
+        arrange();
+      }
+
       var $quiz = createQuiz(self, params);
 
       $container.append($quiz);
 
+      var resumed = previousState ? restoreState(previousState) : false;
+      previousState = null;
+
+      if (resumed) {
+        if (!self.completed) {
+          triggerXAPIResumed();
+        }
+      }
+      else if (params.titleScreen.skip) {
+        triggerXAPIAttempted();
+        self.goToQuestion(getNextQuestion());
+      }
+
       // NOTE (Emil): We only want to do the work for a resize event once.
       // Only the resize event call that survives 100 ms is called.
-      $(window).resize(function () {
-        clearTimeout(resizeEventHandler);
-        resizeEventHandler = setTimeout(resize, 100);
-      });
+      $(window).off('resize', onWindowResize).on('resize', onWindowResize);
 
       // NOTE (Emil): Wait for images to load, if there are any.
       // If there aren't any images to wait for this function is called immediately.
@@ -854,6 +2075,91 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       });
     }
 
+    /**
+      Checks that a previous state matches the current content.
+
+      @param {Object} state
+      @return {boolean}
+    */
+    function isValidState(state) {
+      var isQuestion = function (index) {
+        return self.questions[index] !== undefined;
+      };
+
+      return state !== null && typeof state === 'object' &&
+        Array.isArray(state.counts) && state.counts.length === self.personalities.length &&
+        Array.isArray(state.answers) && state.answers.length <= self.numQuestions &&
+        typeof state.answered === 'number' && state.answered <= self.numQuestions &&
+        (state.path === undefined || (Array.isArray(state.path) && state.path.length === state.answers.length &&
+          state.path.every(isQuestion))) &&
+        (!self.poolSize || (Array.isArray(state.pool) && state.pool.length === self.poolSize &&
+          state.pool.every(isQuestion)));
+    }
+
+    /**
+      Shows the slide at the given index. Slides before it are hidden,
+      the same way 'next' hides the slides that have been passed.
+
+      @param {number} index
+    */
+    function showSlide(index) {
+      self.$slides.show();
+      self.$slides.slice(0, index).hide();
+      self.index = index;
+    }
+
+    /**
+      Restores the quiz from a previous state, moving to the question the
+      learner was on or straight to the result of a completed attempt.
+
+      @param {Object} state The state from getCurrentState
+      @return {boolean} True if the state was restored
+    */
+    function restoreState(state) {
+      var current;
+
+      if (!isValidState(state)) {
+        return false;
+      }
+
+      self.personalities.forEach(function (personality, i) {
+        personality.count = state.counts[i];
+      });
+
+      self.answered = state.answered;
+      self.answers = state.answers.slice();
+
+      // NOTE: States saved before branching existed answered the questions in order.
+      self.path = state.path ? state.path.slice() : state.answers.map(function (answer, index) {
+        return index;
+      });
+      self.revisions = state.revisions || {};
+      self.lead = state.lead || null;
+      self.leadDone = !!state.lead;
+      self.registration = state.registration || self.registration;
+
+      if (state.completed) {
+        self.completed = true;
+        self.$progressbar.hide();
+
+        showSlide(self.$slides.length - 1);
+        self.setResult(self.calculateResult().personalities, true);
+      }
+      else if (self.answered > 0 || state.index > 0) {
+        current = getCurrentQuestion();
+
+        // NOTE: All questions are answered, the learner left on the lead capture form.
+        if (current === null) {
+          self.finish();
+        }
+        else {
+          self.goToQuestion(current);
+        }
+      }
+
+      return true;
+    }
+
     /**
       Required function for interacting with H5P.
 
@@ -872,64 +2178,146 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       elements for the result screen and sets the result on the wheel
       of fortune animation if it is enabled.
 
-      @param {Object} personality
+      @param {Object|Object[]} personalities One or more (tied) result personalities
+      @param {boolean} [skipAnimation] Skip the wheel of fortune, e.g. when resuming
     */
-    self.setResult = function (personality) {
-      var $personality;
-      var backgroundImage = (personality.image.file) && self.resultImagePosition === 'background';
-      var inlineImage     = (personality.image.file) && self.resultImagePosition === 'inline';
+    self.setResult = function (personalities, skipAnimation) {
+      personalities = [].concat(personalities);
 
-      if (self.$canvas) {
+      // NOTE: A background image only fits a single result.
+      var multiple = personalities.length > 1;
+      var imagePosition = multiple ? 'inline' : self.resultImagePosition;
+
+      if (self.$canvas && !skipAnimation) {
         self.wheel.attach(self.$canvas[0]);
-        self.wheel.setTarget(personality);
+        self.wheel.setTarget(personalities[0]);
         self.wheel.animate();
       }
 
-      $personality = appendPersonality(
-        self,
-        personality,
-        self.resultTitle,
-        inlineImage,
-        self.resultDescription
-      );
+      self.$resultWrapper.toggleClass(prefix('multiple-results'), multiple);
+      self.$resultWrapper.toggleClass(prefix('has-breakdown'), self.breakdown !== 'none');
+
+      personalities.forEach(function (personality) {
+        var backgroundImage = (personality.image.file) && imagePosition === 'background';
+        var inlineImage     = (personality.image.file) && imagePosition === 'inline';
+
+        var $personality = appendPersonality(
+          self,
+          personality,
+          self.resultTitle,
+          inlineImage,
+          self.resultDescription
+        );
+
+        if (backgroundImage) {
+          setPersonalityBackgroundImage(self.$result, $personality, personality);
+        }
+      });
 
-      if (backgroundImage) {
-        setPersonalityBackgroundImage(self.$result, $personality, personality);
+      if (self.breakdown !== 'none') {
+        self.$resultWrapper.append(createBreakdown(self.breakdown));
       }
     };
 
     /**
-      Searches the personalities for the one with the highest 'count'
-      property. In the case of a tie the first element with the shared
-      highest 'count' is selected.
+      Finds the personalities sharing the highest 'count' and applies
+      the configured tie-breaker to them.
 
-      @return {Object} The result personality of the quiz
+      @return {Object} result
+      @return {Object[]} result.personalities The personalities to show, the main result first
+      @return {Object[]} result.tied All personalities sharing the highest count
+      @return {string} result.strategy The tie-breaker that was applied
     */
-    self.calculatePersonality = function () {
-      var max = self.personalities[0].count;
-      var index = 0;
-
-      self.personalities.forEach(function (personality, i) {
-        if (max < personality.count) {
-          max = personality.count;
-          index = i;
-        }
+    self.calculateResult = function () {
+      var max = Math.max.apply(null, self.personalities.map(function (personality) {
+        return personality.count;
+      }));
+
+      // NOTE: Weights may be decimals, so counts are compared with some tolerance.
+      var tied = self.personalities.filter(function (personality) {
+        return Math.abs(personality.count - max) < 1e-9;
       });
 
-      return self.personalities[index];
+      return {
+        personalities: tied.length > 1 ? breakTie(tied) : tied,
+        tied: tied,
+        strategy: self.tieBreaker
+      };
+    };
+
+    /**
+      Picks the result among personalities sharing the highest count.
+
+      @param {Object[]} tied In list order
+      @return {Object[]}
+    */
+    function breakTie(tied) {
+      var winner, position, weights, random;
+
+      switch (self.tieBreaker) {
+        case 'all':
+          return tied;
+
+        case 'last-answered':
+          // NOTE: The latest answer that counted towards one of the tied
+          // personalities decides.
+          for (position = self.path.length - 1; position >= 0 && !winner; position--) {
+            weights = getAnswerWeights(self.questions[self.path[position]].answers[self.answers[position]]);
+
+            weights.forEach(function (entry) {
+              if (!winner && entry.weight > 0 && tied.indexOf(entry.personality) !== -1) {
+                winner = entry.personality;
+              }
+            });
+          }
+          break;
+
+        case 'priority':
+          tied.forEach(function (personality) {
+            var rank = self.tieBreakerPriority.indexOf(personality.id);
+
+            if (rank !== -1 && (!winner || rank < self.tieBreakerPriority.indexOf(winner.id))) {
+              winner = personality;
+            }
+          });
+          break;
+
+        case 'random':
+          // NOTE: Seeded by the attempt, so a resumed attempt shows the same result.
+          random = seededRandom(self.seed + ':' + tied.map(function (personality) {
+            return personality.id;
+          }).join(','));
+          winner = tied[Math.floor(random() * tied.length)];
+          break;
+      }
+
+      return [winner || tied[0]];
+    }
+
+    /**
+      Returns the main result personality of the quiz.
+
+      @return {Object} The result personality of the quiz
+    */
+    self.calculatePersonality = function () {
+      return self.calculateResult().personalities[0];
     };
 
     /**
       Updates the progressbar. Moves the background gradient based
       on the number of questions answered and updates the text
       with the current question number and the question total.
+      The total follows the path taken, since answers may skip questions.
     */
     self.updateProgress = function () {
-      var percentage = 100 - (self.answered) * self.slidePercentage;
+      var current = (self.currentQuestion === null || self.currentQuestion === undefined) ?
+        getCurrentQuestion() : self.currentQuestion;
+      var total = countPathTotal(current);
+      var percentage = 100 - 100 * self.answered / Math.max(total, 1);
 
       var text = interpolate(self.progressText, {
         'question': self.answered + 1,
-        'total': self.numQuestions
+        'total': total
       });
 
       self.$progressbar.css('background-position', String(percentage) + '%');
@@ -938,12 +2326,9 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
 
 
     /**
-      Moves to the next slide. Toggles visiblity of slides and
-      triggers 'personality-quiz-completed' event upon completion.
+      Moves to the next slide, e.g. from the wheel of fortune to the result.
     */
     self.next = function () {
-      var answeredAllQuestions = (self.answered === self.numQuestions);
-
       var $prev = self.$slides.eq(self.index);
       var $curr = self.$slides.eq(self.index + 1);
 
@@ -951,16 +2336,109 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       $curr.show();
 
       self.index = self.index + 1;
+    };
 
-      if ($curr.hasClass(prefix('question'))) {
-        self.updateProgress(self.index);
+    /**
+      Shows the given question and updates the progress along the path.
+
+      @param {number} questionIndex
+    */
+    self.goToQuestion = function (questionIndex) {
+      var $slide = self.$slides.filter('[data-question="' + questionIndex + '"]');
+
+      self.currentQuestion = questionIndex;
+
+      showSlide(self.$slides.index($slide));
+      self.$progressbar.show();
+
+      // NOTE: The slide may have been answered before the learner went back to it.
+      $slide.removeClass(prefix('answered'));
+      $slide.find(prefix('back-button-wrapper', true)).toggle(self.path.length > 0);
+
+      self.updateProgress();
+    };
+
+    /**
+      Moves past the last question, to the lead capture form if there is
+      one, then to the wheel of fortune or the result, and triggers
+      'personality-quiz-completed'.
+    */
+    self.finish = function () {
+      var $questions = self.$slides.filter(prefix('question', true));
+
+      self.currentQuestion = null;
+
+      if (self.$leadForm && !self.leadDone) {
+        self.$progressbar.hide();
+        showSlide(self.$slides.index(self.$leadForm));
+        return;
       }
 
-      if (!self.completed && answeredAllQuestions) {
+      showSlide(self.$slides.index(self.$leadForm || $questions.last()) + 1);
+
+      if (!self.completed) {
         self.trigger('personality-quiz-completed');
       }
     };
 
+    /**
+      Moves back to the previous question. The answer given to it is taken
+      back: its weights are subtracted from the personality counts, an
+      xAPI statement withdraws it and the question can be answered again.
+    */
+    self.previous = function () {
+      var position = self.path.length - 1;
+      var questionIndex = self.path[position];
+      var answerIndex = self.answers[position];
+
+      if (!self.allowBack || self.completed || position < 0) {
+        return;
+      }
+
+      getAnswerWeights(self.questions[questionIndex].answers[answerIndex]).forEach(function (entry) {
+        entry.personality.count -= entry.weight;
+      });
+
+      self.revisions[questionIndex] = {
+        number: self.revisions[questionIndex] ? self.revisions[questionIndex].number : 0,
+        previousAnswer: answerIndex
+      };
+
+      self.path.pop();
+      self.answers.pop();
+      self.answered = position;
+
+      triggerXAPIAnswerWithdrawn(questionIndex, {
+        number: self.revisions[questionIndex].number + 1,
+        previousAnswer: answerIndex
+      }, countPathTotal(questionIndex));
+
+      self.goToQuestion(questionIndex);
+    };
+
+    /**
+      Returns the revision for a question that is answered again after going
+      back to it, and marks the previous answer as replaced.
+
+      @param {number} questionIndex
+      @return {Object|undefined} { number, previousAnswer }
+    */
+    function takeRevision(questionIndex) {
+      var revision = self.revisions[questionIndex];
+      var taken;
+
+      if (!revision || revision.previousAnswer === null) {
+        return undefined;
+      }
+
+      revision.number += 1;
+
+      taken = { number: revision.number, previousAnswer: revision.previousAnswer };
+      revision.previousAnswer = null;
+
+      return taken;
+    }
+
     /**
       The click event listener used for all buttons associated with an answer
       to a question in the personality quiz.
@@ -968,8 +2446,8 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       @param {Object} event
     */
     self.answerListener = function (event) {
-      var $target, $button;
-      var isImage, isButton, buttonListener, personalities;
+      var $target, $button, $slide;
+      var isImage, isButton, buttonListener, answer;
 
       $target = $(event.target);
       $button = $target;
@@ -982,25 +2460,94 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       $button = isImage ? $target.siblings().eq(0) : $button;
       $target = (isButton || isImage) ? $target.parent() : $target;
 
-      personalities = $target.attr('data-personality');
+      answer = $target.attr('data-answer');
+      $slide = $target.closest(prefix('question', true));
 
-      if (personalities) {
+      // NOTE: A question takes one answer until the learner goes back to it.
+      if (answer !== undefined && !$slide.hasClass(prefix('answered'))) {
         buttonListener  = animation ? animatedButtonListener : nonAnimatedButtonListener;
 
-        buttonListener($button, personalities);
+        $slide.addClass(prefix('answered'));
 
-        $target.parent(prefix('answers')).off('click');
+        buttonListener($button, {
+          question: Number($slide.attr('data-question')),
+          answer: Number(answer)
+        });
       }
     };
 
     /**
-      Zeros out all personality quiz state variables.
+      Zeros out all personality quiz state variables and starts a new
+      attempt with its own registration.
     */
     self.reset = function () {
       self.personalities.map(function (e) { e.count = 0; });
       self.index = 0;
       self.answered = 0;
+      self.answers = [];
+      self.path = [];
+      self.currentQuestion = null;
+      self.revisions = {};
       self.completed = false;
+      self.registration = H5P.createUUID();
+      self.seed = H5P.createUUID();
+      self.lead = null;
+      self.leadDone = false;
+    };
+
+    /**
+      Tears the quiz down when the page removes it: detaches the window
+      resize handler, stops pending timers and the wheel animation,
+      removes the quiz listeners and empties the container.
+    */
+    self.destroy = function () {
+      $(window).off('resize', onWindowResize);
+      clearTimeout(resizeEventHandler);
+      clearTimeout(fadeOutHandler);
+
+      if (self.wheel) {
+        self.wheel.stop();
+        self.wheel = null;
+      }
+
+      [
+        'personality-quiz-start', 'personality-quiz-answer', 'personality-quiz-lead',
+        'personality-quiz-back', 'personality-quiz-completed', 'wheel-animation-end',
+        'personality-quiz-restart', 'resize', 'xAPI'
+      ].forEach(function (type) {
+        self.off(type);
+      });
+
+      if (self.$container) {
+        self.$container.empty();
+      }
+    };
+
+    /**
+      Required function for saving the user's progress with H5P.
+
+      @return {Object|undefined} The current state, or undefined if the quiz has not been started.
+    */
+    self.getCurrentState = function () {
+      if (self.index === 0 && self.answered === 0) {
+        return undefined;
+      }
+
+      return {
+        index: self.index,
+        answered: self.answered,
+        answers: self.answers.slice(),
+        path: self.path.slice(),
+        counts: self.personalities.map(function (personality) {
+          return personality.count;
+        }),
+        completed: self.completed,
+        registration: self.registration,
+        seed: self.seed,
+        pool: self.pool ? self.pool.slice() : undefined,
+        lead: self.lead || undefined,
+        revisions: self.revisions
+      };
     };
 
     /**
@@ -1009,45 +2556,90 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
     */
     self.on('personality-quiz-start', function () {
       self.$progressbar.show();
-      self.next();
+      triggerXAPIAttempted();
+      self.goToQuestion(getNextQuestion());
     });
 
     /**
-      Event handler for the personality quiz answer event. Counts
-      up all personalities in the answer matching the given personalities.
+      Event handler for the personality quiz answer event. Adds the
+      weights of the chosen answer to the personality counts, reports
+      the answer as an xAPI statement and moves on along the path.
     */
     self.on('personality-quiz-answer', function (event) {
-      var answers;
+      var question, weights, revision, next;
 
-      if (event !== undefined && event.data !== undefined) {
-        answers = event.data.split(', ');
+      if (event === undefined || event.data === undefined) {
+        return;
+      }
 
-        answers.forEach(function (answer) {
-          self.personalities.forEach(function (personality) {
-            if (personality.name === answer) {
-              personality.count++;
-            }
-          });
-        });
+      question = self.questions[event.data.question];
+      weights = getAnswerWeights(question.answers[event.data.answer]);
+
+      weights.forEach(function (entry) {
+        entry.personality.count += entry.weight;
+      });
 
-        self.answered += 1;
+      revision = takeRevision(event.data.question);
+
+      self.path.push(event.data.question);
+      self.answers.push(event.data.answer);
+      self.answered += 1;
+
+      next = getNextQuestion(event.data.question, event.data.answer);
+
+      // NOTE: Sent once the answer is on the path, the total depends on where it leads.
+      triggerXAPIAnswered(event.data.question, event.data.answer, weights, revision, countPathTotal(next));
+
+      if (next === null) {
+        self.finish();
+      }
+      else {
+        self.goToQuestion(next);
+      }
+    });
+
+    /**
+      Event handler for the lead capture form. The lead is only given when
+      the learner consented, it is null when the form was skipped. The lead
+      is handed to the page embedding the quiz before the quiz completes, so
+      it can identify the learner in the 'completed' statement.
+    */
+    self.on('personality-quiz-lead', function (event) {
+      self.lead = event.data || null;
+      self.leadDone = true;
+
+      if (self.lead && H5P.externalDispatcher) {
+        H5P.externalDispatcher.trigger('personality-quiz-lead', {
+          contentId: id,
+          registration: self.registration,
+          lead: self.lead
+        });
       }
 
-      self.next();
+      self.finish();
+    });
+
+    /**
+      Event handler for the back button on questions.
+    */
+    self.on('personality-quiz-back', function () {
+      self.previous();
     });
 
     /**
       Event handler for the personality quiz completed event. Hides
       the progressbar, since it is no longer needed. Sets the quiz
-      as completed, calculates the personality and sets the result.
+      as completed, calculates the personality, sets the result and
+      reports the completion as an xAPI statement.
     */
     self.on('personality-quiz-completed', function () {
-      var personality = self.calculatePersonality();
+      var result = self.calculateResult();
 
       self.$progressbar.hide();
       self.completed = true;
 
-      self.setResult(personality);
+      self.setResult(result.personalities);
+      triggerXAPICompleted(result);
 
       if (animation && self.resultAnimation === 'fade-in') {
         self.$result.addClass(prefix('fade-in'));
@@ -1060,7 +2652,7 @@ H5P.PersonalityQuiz = (function ($, EventDispatcher) {
       the quiz on to the next slide.
     */
     self.on('wheel-animation-end', function () {
-      setTimeout(function () {
+      fadeOutHandler = setTimeout(function () {
         self.$canvas.addClass(prefix('fade-out'));
       }, 500);
 
@@ -43,8 +43,8 @@ var H5P = H5P || {};
     self.personalities = personalities;
 
     self.colors = {
-      even: 'rgb(77, 93, 170)',
-      odd:  'rgb(56, 183, 85)',
+      even: PersonalityQuiz.WheelAnimation.segmentColors.even,
+      odd:  PersonalityQuiz.WheelAnimation.segmentColors.odd,
       text: 'rgb(233, 239, 247)',
       nub:  'rgb(233, 239, 247)',
       overlay: 'rgba(60, 62, 64, 0.5)',
@@ -335,7 +335,7 @@ var H5P = H5P || {};
       round = Math.floor(Math.random() + 0.5);
 
       self.personalities.forEach(function (personality, index) {
-        if (targetPersonality.name === personality.name) {
+        if (targetPersonality.id === personality.id) {
           var angle = index * self.segmentAngle + (round * Math.PI);
           var min = angle + deviation;
           var max = angle - deviation;
@@ -386,14 +386,36 @@ var H5P = H5P || {};
 
           self.draw(self.onscreen.context, self.rotation, self.offscreen);
 
-          window.requestAnimationFrame(_animate);
+          self.frame = window.requestAnimationFrame(_animate);
         }
         else {
+          self.frame = null;
           quiz.trigger('wheel-animation-end');
         }
       }
 
-      window.requestAnimationFrame(_animate);
+      self.frame = window.requestAnimationFrame(_animate);
     };
+
+    /**
+      Cancels a running animation without triggering 'wheel-animation-end'.
+    */
+    self.stop = function () {
+      if (self.frame) {
+        window.cancelAnimationFrame(self.frame);
+        self.frame = null;
+      }
+    };
+  };
+
+  /**
+    The colors of the wheel segments when personalities have images. Also
+    used by the score breakdown on the result screen.
+
+    @type {Object}
+  */
+  PersonalityQuiz.WheelAnimation.segmentColors = {
+    even: 'rgb(77, 93, 170)',
+    odd:  'rgb(56, 183, 85)'
   };
 })(H5P.jQuery, H5P.PersonalityQuiz);
@@ -0,0 +1,199 @@
+// scripts/import-h5p.cjs
+// Imports an .h5p archive (e.g. exported from Lumi) as an activity.
+//
+//   node scripts/import-h5p.cjs <file.h5p> [--slug=my-quiz] [--title="My quiz"] [--summary="..."] [--force]
+//
+// h5p.json and content/ go to public/h5p/<slug>/. Libraries go to the shared public/h5p/libraries/
+// folder, so a library used by several activities is stored once: a library that is already there
+// is kept unless the archive has a newer patch version. The activity is then added to
+// public/h5p/activities.json. Archives with files H5P does not allow (e.g. .php, or scripts in
+// content/) are rejected as a whole. Nothing is installed unless the package passes the same
+// checks as scripts/scan-h5p-packages.cjs, which also decides where they go (H5P_CONTENT_DIR).
+const fs = require('fs-extra');
+const path = require('path');
+const { readZip } = require('./zip-reader.cjs');
+const { checkPackage, mergeManifest, readManifest, contentRoot, manifestFile, sharedLibrariesDir, SLUG_PATTERN } = require('./scan-h5p-packages.cjs');
+
+const args = Object.fromEntries(
+  process.argv.slice(2).filter(arg => arg.startsWith('--')).map(arg => {
+    const [key, ...rest] = arg.replace(/^--/, '').split('=');
+    return [key, rest.length ? rest.join('=') : 'true'];
+  })
+);
+const [archive] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+const projectRoot = path.resolve(__dirname, '..');
+const stagingRoot = path.join(projectRoot, '.tmp', 'h5p-import');
+
+// File types H5P core accepts in content, libraries may also contain scripts and styles
+const CONTENT_EXTENSIONS = [
+  'json', 'png', 'jpg', 'jpeg', 'gif', 'bmp', 'tif', 'tiff', 'svg', 'eot', 'ttf', 'woff', 'woff2', 'otf',
+  'webm', 'mp4', 'ogg', 'mp3', 'm4a', 'wav', 'txt', 'pdf', 'rtf', 'doc', 'docx', 'xls', 'xlsx', 'ppt',
+  'pptx', 'odt', 'ods', 'odp', 'xml', 'csv', 'diff', 'patch', 'md', 'textile', 'vtt', 'webvtt', 'gltf', 'glb'
+];
+const LIBRARY_EXTENSIONS = [...CONTENT_EXTENSIONS, 'js', 'css'];
+const LIBRARY_FOLDER_PATTERN = /^[A-Za-z0-9._-]+-\d+\.\d+$/;
+const RESERVED_SLUGS = ['libraries'];
+
+const toSlug = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Thrown (not exited) so the staging folder is always cleaned up
+class ImportError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ImportError';
+    this.details = details;
+  }
+}
+
+function fail(message, details) {
+  throw new ImportError(message, details);
+}
+
+// Sorts the archive entries into h5p.json, content files and library files, rejecting what H5P would
+function classifyEntries(entries) {
+  const rejected = [];
+  const files = [];
+
+  entries.forEach(entry => {
+    const name = entry.name;
+    const segments = name.split('/').filter(Boolean);
+
+    if (name.startsWith('/') || name.includes('\\') || segments.some(segment => segment === '..')) {
+      rejected.push(`${name}: unsafe path`);
+      return;
+    }
+
+    if (entry.directory) return;
+    // OS metadata, H5P ignores hidden files too
+    if (segments[0] === '__MACOSX' || segments.some(segment => segment.startsWith('.'))) return;
+
+    const extension = path.extname(name).slice(1).toLowerCase();
+    if (segments.length === 1) {
+      if (name === 'h5p.json') files.push({ entry, kind: 'h5p' });
+      else console.warn(`⚠ Ignoring ${name}, only h5p.json is used from the archive root`);
+    } else if (segments[0] === 'content') {
+      if (CONTENT_EXTENSIONS.includes(extension)) files.push({ entry, kind: 'content' });
+      else rejected.push(`${name}: .${extension || '(none)'} files are not allowed in content`);
+    } else if (LIBRARY_FOLDER_PATTERN.test(segments[0])) {
+      if (LIBRARY_EXTENSIONS.includes(extension)) files.push({ entry, kind: 'library', library: segments[0] });
+      else rejected.push(`${name}: .${extension || '(none)'} files are not allowed in libraries`);
+    } else {
+      rejected.push(`${name}: not part of an H5P package`);
+    }
+  });
+
+  return { files, rejected };
+}
+
+const readLibraryJson = (dir) => {
+  try {
+    return fs.readJsonSync(path.join(dir, 'library.json'));
+  } catch {
+    return null;
+  }
+};
+
+// A library already in the shared folder is replaced only by a newer patch of the same major.minor
+function installLibraries(stagingDir, libraries) {
+  const installed = [];
+
+  libraries.forEach(folder => {
+    const target = path.join(sharedLibrariesDir, folder);
+    const incoming = readLibraryJson(path.join(stagingDir, folder));
+    const current = fs.existsSync(target) ? readLibraryJson(target) : null;
+
+    if (current && (current.patchVersion || 0) >= (incoming?.patchVersion || 0)) {
+      console.log(`  = ${folder} already installed (patch ${current.patchVersion || 0})`);
+      return;
+    }
+
+    fs.removeSync(target);
+    fs.copySync(path.join(stagingDir, folder), target);
+    installed.push(folder);
+    console.log(current
+      ? `  ↑ ${folder} updated to patch ${incoming.patchVersion} (shared with other activities)`
+      : `  + ${folder}`);
+  });
+
+  return installed;
+}
+
+async function main() {
+  if (!archive) fail('Usage: node scripts/import-h5p.cjs <file.h5p> [--slug=name] [--title=..] [--summary=..] [--force]');
+  if (!fs.existsSync(archive)) fail(`${archive} not found`);
+
+  let entries;
+  try {
+    entries = readZip(fs.readFileSync(archive));
+  } catch (err) {
+    fail(`${archive} is not a readable .h5p archive: ${err.message}`);
+  }
+
+  const { files, rejected } = classifyEntries(entries);
+  if (rejected.length) fail(`${archive} contains files that are not allowed`, rejected);
+  if (!files.some(file => file.kind === 'h5p')) fail(`${archive} has no h5p.json`);
+
+  let h5p;
+  try {
+    h5p = JSON.parse(files.find(file => file.kind === 'h5p').entry.read().toString('utf8'));
+  } catch (err) {
+    fail(`h5p.json cannot be parsed: ${err.message}`);
+  }
+
+  const slug = args.slug || toSlug(h5p.title) || toSlug(path.basename(archive, path.extname(archive)));
+  if (!SLUG_PATTERN.test(slug)) fail(`"${slug}" is not a valid slug, use lowercase letters, digits and dashes (--slug=...)`);
+  if (RESERVED_SLUGS.includes(slug)) fail(`"${slug}" is reserved, choose another --slug`);
+
+  const packageDir = path.join(contentRoot, slug);
+  if (fs.existsSync(packageDir) && args.force !== 'true') fail(`${path.relative(projectRoot, packageDir)} already exists, use --force to replace it`);
+
+  // Refuse to touch a manifest that would need fixing by hand first
+  const manifest = await readManifest();
+  if (manifest.errors.length) fail('activities.json has problems, fix them first', manifest.errors);
+
+  // Unpack and check in a staging folder, so a broken archive leaves nothing behind
+  const stagingDir = path.join(stagingRoot, slug);
+  fs.emptyDirSync(stagingDir);
+  try {
+    files.forEach(({ entry }) => fs.outputFileSync(path.join(stagingDir, entry.name), entry.read()));
+
+    const staged = checkPackage(slug, { packageDir: stagingDir, libraryRoots: [stagingDir, sharedLibrariesDir] });
+    if (staged.errors.length) fail(`${archive} is not a valid H5P package`, staged.errors);
+
+    console.log(`Importing ${archive} as ${slug} (${staged.mainLibrary})`);
+    const archiveLibraries = Array.from(new Set(files.filter(file => file.kind === 'library').map(file => file.library)));
+    installLibraries(stagingDir, archiveLibraries);
+
+    fs.removeSync(packageDir);
+    fs.copySync(path.join(stagingDir, 'h5p.json'), path.join(packageDir, 'h5p.json'));
+    fs.copySync(path.join(stagingDir, 'content'), path.join(packageDir, 'content'));
+  } finally {
+    fs.removeSync(stagingDir);
+  }
+
+  const result = checkPackage(slug);
+  if (result.errors.length) fail(`${slug} was installed but does not pass the checks`, result.errors);
+
+  const { activities } = mergeManifest(manifest.activities, [result], { keepMissing: true });
+  const entry = activities.find(activity => activity.slug === slug);
+  if (args.title) entry.title = args.title;
+  if (args.summary) entry.summary = args.summary;
+
+  fs.writeJsonSync(manifestFile, { activities }, { spaces: 2 });
+  console.log(`✓ ${slug} added to ${path.relative(projectRoot, manifestFile)}, open /activity/${slug}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    if (err instanceof ImportError) {
+      console.error(`❌ ${err.message}`);
+      err.details.forEach(detail => console.error(`    ${detail}`));
+    } else {
+      console.error('❌ Failed to import H5P package:', err);
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = { classifyEntries, installLibraries, ImportError };
@@ -0,0 +1,108 @@
+// scripts/mock-lrs.cjs
+// Local stand-in LRS for verifying statement forwarding before pointing at a real store.
+//
+//   node scripts/mock-lrs.cjs [--port=8787] [--auth=user:password] [--fail-rate=0.3] [--reject]
+//
+// Then set VITE_XAPI_ENDPOINT=http://localhost:8787/xapi/statements and VITE_XAPI_FORWARD=true.
+// Received statements are kept in memory (GET /xapi/statements) and written to .tmp/mock-lrs-statements.json.
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(arg => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+const port = Number(args.port || process.env.MOCK_LRS_PORT || 8787);
+const auth = args.auth || null;
+const failRate = Number(args['fail-rate'] || 0);
+const rejectAll = args.reject === 'true';
+const outFile = path.resolve(__dirname, '..', '.tmp', 'mock-lrs-statements.json');
+
+const statements = new Map();
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Experience-API-Version'
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json', 'X-Experience-API-Version': '1.0.3' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function isAuthorized(req) {
+  if (!auth) return true;
+  const expected = 'Basic ' + Buffer.from(auth).toString('base64');
+  return req.headers.authorization === expected;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (url.pathname === '/xapi/about') return send(res, 200, { version: ['1.0.3'] });
+  if (url.pathname !== '/xapi/statements') return send(res, 404, { error: 'Not found' });
+  if (!isAuthorized(req)) return send(res, 401, { error: 'Unauthorized' });
+
+  if (req.method === 'GET') {
+    return send(res, 200, { statements: Array.from(statements.values()), more: '' });
+  }
+
+  if (req.method !== 'POST' && req.method !== 'PUT') return send(res, 405, { error: 'Method not allowed' });
+
+  if (!req.headers['x-experience-api-version']) {
+    return send(res, 400, { error: 'Missing X-Experience-API-Version header' });
+  }
+
+  if (Math.random() < failRate) {
+    console.log(`↯ Simulated failure for ${req.method} ${url.pathname}`);
+    return send(res, 503, { error: 'Simulated outage' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch {
+    return send(res, 400, { error: 'Invalid JSON' });
+  }
+
+  if (rejectAll) {
+    console.log('✗ Rejected batch (--reject)');
+    return send(res, 400, { error: 'Rejected by --reject' });
+  }
+
+  const batch = Array.isArray(payload) ? payload : [payload];
+  const ids = batch.map(statement => {
+    const id = statement.id || url.searchParams.get('statementId') || crypto.randomUUID();
+    statements.set(id, { ...statement, id, stored: new Date().toISOString() });
+    return id;
+  });
+
+  console.log(`✓ Stored ${ids.length} statement(s), ${statements.size} total:`,
+    batch.map(s => s.verb && s.verb.id ? s.verb.id.split('/').pop() : '?').join(', '));
+
+  fs.outputJsonSync(outFile, Array.from(statements.values()), { spaces: 2 });
+
+  return req.method === 'PUT' ? send(res, 204) : send(res, 200, ids);
+});
+
+server.listen(port, () => {
+  console.log(`Mock LRS listening on http://localhost:${port}/xapi/statements`);
+  if (auth) console.log(`Basic auth required: ${auth}`);
+  if (failRate) console.log(`Simulating failures for ${Math.round(failRate * 100)}% of requests`);
+});
@@ -0,0 +1,86 @@
+// scripts/precache-manifest.cjs
+// Lists what the service worker (src/service-worker.js) precaches for offline use: the app shell,
+// the h5p-standalone player and every activity in the manifest, by the URLs the app requests them
+// with (src/config/h5pActivities.js). Used by the build (vite.config.js) with the versioned manifest
+// it writes; run it directly to see the list for public/h5p/activities.json:
+//
+//   node scripts/precache-manifest.cjs
+//
+// Only packages that pass the scan-h5p checks are listed. Activities added to activities.json
+// after the build are not precached; the service worker caches them the first time they are opened.
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { checkPackage, packageFiles, readManifest, listFiles } = require('./scan-h5p-packages.cjs');
+
+const projectRoot = path.resolve(__dirname, '..');
+const playerDir = path.join(projectRoot, 'public', 'assets', 'h5p-player');
+
+// Defaults of H5P_PLAYER_BASE, H5P_CONTENT_BASE and H5P_VERSIONED_BASE for an app served from /
+const DEFAULT_BASES = { player: '/assets/h5p-player', content: '/h5p', versioned: '/h5p-v' };
+
+// Type declarations ship with h5p-standalone but are never requested
+const isPlayerFile = (file) => !file.endsWith('.d.ts');
+
+// Files of one activity: h5p.json, content/ and the libraries it uses, by the URL the player loads them from
+function activityFiles(activity, bases) {
+  const pkg = checkPackage(activity.slug);
+  if (pkg.errors.length) {
+    console.warn(`⚠ ${activity.slug} is not precached, it does not pass the scan-h5p checks`);
+    return [];
+  }
+
+  const base = bases.versioned && activity.version ? `${bases.versioned}/${activity.version}` : bases.content;
+  return packageFiles(pkg).map(({ file, source }) => ({ url: `${base}/${file}`, source }));
+}
+
+/**
+ * Builds the precache list.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.shell] App shell URLs from the build (index.html, bundled scripts and styles)
+ * @param {string} [options.outDir] Build output the shell is read from; without it only the shell URLs count towards the version
+ * @param {string} [options.base] Public base of the shell URLs, the app's BASE_URL
+ * @param {Object} [options.bases] { player, content, versioned } the app loads H5P files from, defaults to those of an app served from /
+ * @param {Object[]} [options.activities] Activities to precache, defaults to those of public/h5p/activities.json
+ * @returns {Promise<Object>} { version, shell, files, bases } where version changes whenever a listed file or its contents do
+ */
+async function buildPrecacheManifest({ shell = ['/'], outDir, base = '/', bases = DEFAULT_BASES, activities } = {}) {
+  if (!activities) {
+    const manifest = await readManifest();
+    manifest.errors.forEach(error => console.warn(`⚠ ${error}`));
+    activities = manifest.activities;
+  }
+
+  const shellFiles = shell.map(url => ({
+    url,
+    source: outDir && path.join(outDir, url === base ? 'index.html' : url.slice(base.length))
+  }));
+  const files = [
+    ...listFiles(playerDir).filter(isPlayerFile).map(file => ({ url: `${bases.player}/${file}`, source: path.join(playerDir, file) })),
+    { url: `${bases.content}/activities.json`, data: JSON.stringify(activities) },
+    ...activities.flatMap(activity => activityFiles(activity, bases))
+  ];
+
+  // The player files and unversioned activities keep their URLs when they change, so the
+  // contents of every file count; a new version makes browsers replace the whole precache
+  const hash = crypto.createHash('sha256');
+  [...shellFiles, ...files].forEach(({ url, source, data }) => {
+    hash.update(`${url}\0`);
+    if (source) hash.update(fs.readFileSync(source));
+    if (data) hash.update(data);
+  });
+
+  return { version: hash.digest('hex').slice(0, 12), shell, files: files.map(({ url }) => url), bases };
+}
+
+if (require.main === module) {
+  buildPrecacheManifest().then(manifest => {
+    console.log(JSON.stringify(manifest, null, 2));
+  }).catch(err => {
+    console.error('❌ Failed to build the precache manifest:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildPrecacheManifest };
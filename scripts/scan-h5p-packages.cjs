@@ -0,0 +1,310 @@
+// scripts/scan-h5p-packages.cjs
+// Checks every H5P package under public/h5p/<slug>/ and writes the activity manifest.
+//
+//   node scripts/scan-h5p-packages.cjs [--check]
+//
+// A package is broken when its h5p.json or content/content.json cannot be read, a preloaded
+// library (or one of the libraries it depends on) has no folder or misses a file, or the
+// content references a file that does not exist. Broken packages fail the run (exit code 1),
+// so the build stops instead of shipping a blank container.
+//
+// Libraries are looked up in the package folder first, then in the shared public/h5p/libraries/
+// folder that scripts/import-h5p.cjs installs into. Packages using shared libraries are marked
+// with "sharedLibraries": true in the manifest, so the player loads libraries from there.
+//
+// Each working package has a "version": a hash of h5p.json, the content folder and the files of
+// the libraries it uses. The build copies the package to dist/h5p-v/<version>/ and adds the version
+// to its copy of the manifest (scripts/versioned-content.cjs); the tracked manifest never has one.
+//
+// Without --check, public/h5p/activities.json is updated: new packages are added with the title
+// from h5p.json, packages that are gone are removed, and everything editors set on existing
+// entries (summary, tags, order, visibility) is kept. With --check, as run before every build,
+// the manifest is left alone and only a warning says when it is out of date. The report is
+// written to .tmp/h5p-scan-report.json. Set H5P_CONTENT_DIR to use another folder than public/h5p/
+// (the tests do, so they never touch the real activities).
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(arg => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+const projectRoot = path.resolve(__dirname, '..');
+const contentRoot = process.env.H5P_CONTENT_DIR ? path.resolve(process.env.H5P_CONTENT_DIR) : path.join(projectRoot, 'public', 'h5p');
+const manifestFile = path.join(contentRoot, 'activities.json');
+const sharedLibrariesDir = path.join(contentRoot, 'libraries');
+const reportFile = path.join(projectRoot, '.tmp', 'h5p-scan-report.json');
+const checkOnly = args.check === 'true';
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const VERSION_LENGTH = 12;
+
+const libraryFolder = (dependency) => `${dependency.machineName}-${dependency.majorVersion}.${dependency.minorVersion}`;
+
+function readJson(file, errors, label) {
+  try {
+    return fs.readJsonSync(file);
+  } catch (err) {
+    errors.push(`${label}: ${err.code === 'ENOENT' ? 'missing' : `cannot be parsed (${err.message})`}`);
+    return null;
+  }
+}
+
+// Follows preloadedDependencies from h5p.json through each library.json, looking for each
+// library in the given folders in order. Editor dependencies are not needed to play content
+// and are not checked. Returns the folder each library was found in.
+function checkLibraries(libraryRoots, dependencies, errors) {
+  const queue = [...dependencies];
+  const found = new Map();
+  const seen = new Set();
+
+  while (queue.length) {
+    const dependency = queue.shift();
+    const folder = libraryFolder(dependency);
+    if (seen.has(folder)) continue;
+    seen.add(folder);
+
+    const root = libraryRoots.find(dir => fs.existsSync(path.join(dir, folder)));
+    if (!root) {
+      errors.push(`library ${folder}: folder missing`);
+      continue;
+    }
+    found.set(folder, root);
+
+    const libraryDir = path.join(root, folder);
+
+    const library = readJson(path.join(libraryDir, 'library.json'), errors, `${folder}/library.json`);
+    if (!library) continue;
+
+    [...(library.preloadedJs || []), ...(library.preloadedCss || [])].forEach(file => {
+      if (!fs.existsSync(path.join(libraryDir, file.path))) errors.push(`library ${folder}: ${file.path} missing`);
+    });
+
+    queue.push(...(library.preloadedDependencies || []));
+  }
+
+  return found;
+}
+
+// H5P file fields ({ path, mime }) are relative to the content folder
+function collectFiles(value, found = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectFiles(item, found));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.path === 'string' && typeof value.mime === 'string') found.push(value.path);
+    Object.values(value).forEach(item => collectFiles(item, found));
+  }
+  return found;
+}
+
+function checkContentFiles(contentDir, content, errors) {
+  collectFiles(content).forEach(file => {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(file)) return;
+    // The editor marks files it has not saved yet with #tmp
+    const resolved = path.resolve(contentDir, file.replace(/#tmp$/, ''));
+    if (!resolved.startsWith(contentDir + path.sep)) {
+      errors.push(`content: ${file} points outside the content folder`);
+    } else if (!fs.existsSync(resolved)) {
+      errors.push(`content: ${file} missing`);
+    }
+  });
+}
+
+// Every file below dir, as paths relative to it, in a stable order
+function listFiles(dir, base = dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const file = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(file, base) : [path.relative(base, file).split(path.sep).join('/')];
+    });
+}
+
+// Content hash of everything the player loads for a package: h5p.json, content/ and the libraries used
+function hashPackage(packageDir, libraries) {
+  const hash = crypto.createHash('sha256');
+  const add = (root, prefix) => listFiles(root).forEach(file => {
+    hash.update(`${prefix}/${file}\0`);
+    hash.update(fs.readFileSync(path.join(root, file)));
+  });
+
+  hash.update('h5p.json\0');
+  hash.update(fs.readFileSync(path.join(packageDir, 'h5p.json')));
+  add(path.join(packageDir, 'content'), 'content');
+  Array.from(libraries.entries()).sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([folder, root]) => add(path.join(root, folder), folder));
+
+  return hash.digest('hex').slice(0, VERSION_LENGTH);
+}
+
+/**
+ * Lists the files the player loads for a package that passes the checks: h5p.json, content/ and
+ * the libraries it uses.
+ *
+ * @param {Object} pkg A result of checkPackage
+ * @returns {Object[]} { file, source } where file is where the player requests it, relative to the
+ *   content base (<slug>/... or, with shared libraries, libraries/...), and source is the path on disk
+ */
+function packageFiles(pkg) {
+  const packageDir = path.join(contentRoot, pkg.slug);
+  const librariesBase = pkg.sharedLibraries ? 'libraries' : pkg.slug;
+  const below = (dir, base) => listFiles(dir).map(file => ({ file: `${base}/${file}`, source: path.join(dir, file) }));
+
+  return [
+    { file: `${pkg.slug}/h5p.json`, source: path.join(packageDir, 'h5p.json') },
+    ...below(path.join(packageDir, 'content'), `${pkg.slug}/content`),
+    ...pkg.libraries.flatMap(folder => {
+      const dir = [packageDir, sharedLibrariesDir].map(root => path.join(root, folder)).find(fs.existsSync);
+      return below(dir, `${librariesBase}/${folder}`);
+    })
+  ];
+}
+
+/**
+ * Checks one package.
+ *
+ * @param {string} slug
+ * @param {Object} [options]
+ * @param {string} [options.packageDir] Defaults to public/h5p/<slug>
+ * @param {string[]} [options.libraryRoots] Where libraries are looked up, defaults to the package and the shared folder
+ * @returns {Object} { slug, title, mainLibrary, libraries, sharedLibraries, version, errors } where version is null for broken packages
+ */
+function checkPackage(slug, { packageDir = path.join(contentRoot, slug), libraryRoots = [packageDir, sharedLibrariesDir] } = {}) {
+  const result = { slug, title: null, mainLibrary: null, libraries: [], sharedLibraries: false, version: null, errors: [] };
+  let libraries = new Map();
+
+  if (!SLUG_PATTERN.test(slug)) result.errors.push('folder name must be lowercase letters, digits and dashes');
+
+  const h5p = readJson(path.join(packageDir, 'h5p.json'), result.errors, 'h5p.json');
+  if (h5p) {
+    result.title = h5p.title || null;
+    result.mainLibrary = h5p.mainLibrary || null;
+    const dependencies = Array.isArray(h5p.preloadedDependencies) ? h5p.preloadedDependencies : [];
+
+    if (!h5p.title) result.errors.push('h5p.json: title missing');
+    if (!h5p.mainLibrary) {
+      result.errors.push('h5p.json: mainLibrary missing');
+    } else if (!dependencies.some(dependency => dependency.machineName === h5p.mainLibrary)) {
+      result.errors.push(`h5p.json: mainLibrary ${h5p.mainLibrary} is not a preloaded dependency`);
+    }
+
+    libraries = checkLibraries(libraryRoots, dependencies, result.errors);
+    result.libraries = Array.from(libraries.keys());
+    result.sharedLibraries = Array.from(libraries.values()).some(root => root !== packageDir);
+  }
+
+  const contentDir = path.join(packageDir, 'content');
+  const content = readJson(path.join(contentDir, 'content.json'), result.errors, 'content/content.json');
+  if (content) checkContentFiles(contentDir, content, result.errors);
+
+  if (!result.errors.length) result.version = hashPackage(packageDir, libraries);
+  return result;
+}
+
+// Keeps the editors' entries in their order, drops removed packages and appends new ones.
+// Where libraries are loaded from is not up to editors and is always refreshed. Content versions
+// only belong in the build's copy of the manifest and are dropped.
+function mergeManifest(existing, packages, { keepMissing = false } = {}) {
+  const bySlug = new Map(packages.map(pkg => [pkg.slug, pkg]));
+  const removed = [];
+
+  const activities = existing.filter(entry => {
+    if (keepMissing || bySlug.has(entry.slug)) return true;
+    removed.push(entry.slug);
+    return false;
+  });
+
+  packages.forEach(pkg => {
+    let entry = activities.find(activity => activity.slug === pkg.slug);
+    if (!entry) {
+      entry = { slug: pkg.slug, title: pkg.title };
+      activities.push(entry);
+    }
+    if (pkg.sharedLibraries) {
+      entry.sharedLibraries = true;
+    } else {
+      delete entry.sharedLibraries;
+    }
+  });
+  activities.forEach(entry => delete entry.version);
+
+  return { activities, removed };
+}
+
+// Entries of the current manifest, and the problems that keep it from being updated safely
+async function readManifest() {
+  const errors = [];
+  if (!fs.existsSync(manifestFile)) return { activities: [], errors };
+
+  // Same rules the app applies when it loads the manifest; entries are never dropped silently
+  const { validateManifest } = await import('../src/utils/activityManifest.js');
+  const manifest = readJson(manifestFile, errors, 'activities.json');
+  if (!manifest) return { activities: [], errors };
+
+  const { errors: manifestErrors, activities } = validateManifest(manifest);
+  errors.push(...manifestErrors.map(error => `activities.json ${error}`));
+  return { activities, errors };
+}
+
+async function main() {
+  const slugs = fs.readdirSync(contentRoot, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(contentRoot, entry.name, 'h5p.json')))
+    .map(entry => entry.name)
+    .sort();
+
+  const packages = slugs.map(checkPackage);
+  const broken = packages.filter(pkg => pkg.errors.length);
+
+  packages.forEach(pkg => {
+    if (pkg.errors.length) {
+      console.error(`✗ ${pkg.slug}`);
+      pkg.errors.forEach(error => console.error(`    ${error}`));
+    } else {
+      console.log(`✓ ${pkg.slug} (${pkg.mainLibrary}, ${pkg.libraries.length} librar${pkg.libraries.length === 1 ? 'y' : 'ies'}, version ${pkg.version})`);
+    }
+  });
+
+  const report = { scannedAt: new Date().toISOString(), packages, manifestErrors: [], manifest: null };
+
+  const { activities: existing, errors: manifestErrors } = await readManifest();
+  manifestErrors.forEach(error => console.error(`✗ ${error}`));
+  report.manifestErrors = manifestErrors;
+
+  const failed = broken.length > 0 || report.manifestErrors.length > 0;
+
+  if (!failed && !checkOnly) {
+    const { activities, removed } = mergeManifest(existing, packages);
+    removed.forEach(slug => console.warn(`⚠ ${slug} removed from activities.json, its folder is gone`));
+
+    fs.writeJsonSync(manifestFile, { activities }, { spaces: 2 });
+    report.manifest = { file: path.relative(projectRoot, manifestFile), activities: activities.length, removed };
+    console.log(`Wrote ${activities.length} activit${activities.length === 1 ? 'y' : 'ies'} to ${report.manifest.file}`);
+  } else if (!failed) {
+    const { activities } = mergeManifest(structuredClone(existing), packages);
+    if (JSON.stringify(activities) !== JSON.stringify(existing)) {
+      console.warn('⚠ activities.json is out of date, run npm run scan-h5p to update it');
+    }
+  }
+
+  fs.outputJsonSync(reportFile, report, { spaces: 2 });
+
+  if (failed) {
+    console.error(`\n${broken.length} broken H5P package(s), ${report.manifestErrors.length} manifest problem(s), see ${path.relative(projectRoot, reportFile)}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Failed to scan H5P packages:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { checkPackage, packageFiles, mergeManifest, readManifest, listFiles, libraryFolder, contentRoot, manifestFile, sharedLibrariesDir, SLUG_PATTERN };
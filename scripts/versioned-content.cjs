@@ -0,0 +1,47 @@
+// scripts/versioned-content.cjs
+// Writes the build's copy of the activities (used by vite.config.js after vite build):
+//
+//   dist/h5p/activities.json                   public/h5p/activities.json with a "version" for each working package
+//   dist/h5p-v/<version>/<slug>/...            h5p.json, content/ and the libraries in the package folder
+//   dist/h5p-v/<version>/libraries/...         the shared libraries an imported package uses
+//
+// The version is the package's content hash (see scan-h5p-packages.cjs), so every file under
+// /h5p-v/ keeps its bytes for as long as it is deployed and can be cached for good (public/_headers).
+// A package edited on the host after the build keeps playing the built copy until the next build.
+// Packages that do not pass the scan-h5p checks get no version and load from /h5p/<slug>/.
+const fs = require('fs-extra');
+const path = require('path');
+const { checkPackage, packageFiles, readManifest } = require('./scan-h5p-packages.cjs');
+
+// Same default as H5P_VERSIONED_BASE
+const VERSIONED_DIR = 'h5p-v';
+
+/**
+ * Copies each working package to its versioned folder and writes the manifest pointing at them.
+ *
+ * @param {string} outDir The build output folder
+ * @returns {Promise<Object[]>} The activities of the written manifest
+ */
+async function writeVersionedContent(outDir) {
+  const { activities, errors } = await readManifest();
+  errors.forEach(error => console.warn(`⚠ ${error}`));
+
+  activities.forEach(activity => {
+    const pkg = checkPackage(activity.slug);
+    delete activity.version;
+    if (!pkg.version) {
+      console.warn(`⚠ ${activity.slug} is not versioned, it does not pass the scan-h5p checks`);
+      return;
+    }
+
+    activity.version = pkg.version;
+    packageFiles(pkg).forEach(({ file, source }) => {
+      fs.copySync(source, path.join(outDir, VERSIONED_DIR, pkg.version, file));
+    });
+  });
+
+  fs.outputJsonSync(path.join(outDir, 'h5p', 'activities.json'), { activities }, { spaces: 2 });
+  return activities;
+}
+
+module.exports = { writeVersionedContent };
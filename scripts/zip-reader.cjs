@@ -0,0 +1,94 @@
+// scripts/zip-reader.cjs
+// Minimal reader for the zip archives H5P packages come in (.h5p), so importing needs no
+// extra dependency or network. Handles stored and deflated entries; zip64, encryption and
+// multi-disk archives are rejected.
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipError';
+  }
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of at most 65535 bytes
+  const start = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= start; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new ZipError('not a zip archive (end of central directory not found)');
+}
+
+/**
+ * Lists the entries of a zip archive.
+ *
+ * @param {Buffer} buffer The whole archive
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] Largest total uncompressed size accepted, guards against zip bombs
+ * @returns {Object[]} { name, directory, size, read() } where read() returns the content as a Buffer
+ */
+function readZip(buffer, { maxSize = 512 * 1024 * 1024 } = {}) {
+  if (buffer.length < 22) throw new ZipError('not a zip archive (too short)');
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (buffer.readUInt16LE(eocd + 4) !== 0 || buffer.readUInt16LE(eocd + 8) !== count) {
+    throw new ZipError('multi-disk archives are not supported');
+  }
+  if (count === 0xffff || directoryOffset === 0xffffffff) throw new ZipError('zip64 archives are not supported');
+
+  const entries = [];
+  let offset = directoryOffset;
+  let totalSize = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new ZipError(`corrupt central directory at entry ${i}`);
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    // Bit 11: the name is UTF-8, otherwise CP437 (ASCII for the names H5P uses)
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    if (flags & 0x1) throw new ZipError(`${name}: encrypted entries are not supported`);
+    if (method !== 0 && method !== 8) throw new ZipError(`${name}: compression method ${method} is not supported`);
+
+    totalSize += size;
+    if (totalSize > maxSize) throw new ZipError(`archive expands to more than ${maxSize} bytes`);
+
+    entries.push({
+      name,
+      directory: name.endsWith('/'),
+      size,
+      read() {
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new ZipError(`${name}: corrupt local header`);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        const content = method === 0 ? Buffer.from(data) : zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+        if (content.length !== size) throw new ZipError(`${name}: size mismatch`);
+        if (typeof zlib.crc32 === 'function' && (zlib.crc32(content) >>> 0) !== crc) throw new ZipError(`${name}: checksum mismatch`);
+        return content;
+      }
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+module.exports = { readZip, ZipError };
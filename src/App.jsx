@@ -1,8 +1,15 @@
 import React, { useEffect, useState } from 'react';
-import H5PPlayer from './components/H5PPlayer';
-import useXapiTracker from './hooks/useXapiTracker';
+import ActivityCatalogue from './components/ActivityCatalogue';
+import ActivityPage from './components/ActivityPage';
+import Link from './components/Link';
+import NotFound from './components/NotFound';
+import useActivities from './hooks/useActivities';
+import useRoute, { ROUTES } from './hooks/useRoute';
+import useXapiTracking from './hooks/useXapiTracking';
 import './App.css';
-import { H5P_ACTIVITIES, H5P_CONTENT_BASE } from './config/h5pActivities';
+import { getActivity } from './config/h5pActivities';
+
+const SITE_TITLE = document.title;
 
 
 function ThemeToggle({ theme, onToggle }) {
@@ -23,9 +30,14 @@ function ThemeToggle({ theme, onToggle }) {
 export default function App() {
   const [theme, setTheme] = useState(() => localStorage.getItem('demo-theme') || 'dark');
   const [zoom, setZoom] = useState(1);
+  const route = useRoute();
+  const { activities, status: activitiesStatus } = useActivities();
+  const loading = activitiesStatus === 'loading';
+  const activity = route.name === 'activity' ? getActivity(route.params.slug, activities) : null;
+  const pageTitle = route.name === 'catalogue' || loading ? null : (activity?.title || 'Page not found');
 
-  // Initialize xAPI tracking
-  const { getRecords, getProgressSummary, isListening } = useXapiTracker();
+  // xAPI tracking, mounted once by XapiTrackerProvider (main.jsx)
+  const { getRecords, getProgressSummary, getSyncStatus, isListening } = useXapiTracking();
 
   useEffect(() => {
     document.body.classList.toggle('theme-light', theme === 'light');
@@ -38,8 +50,15 @@ export default function App() {
     if (isListening) {
       console.log('[App] xAPI Records:', getRecords().length, 'statements');
       console.log('[App] Progress Summary:', getProgressSummary());
+      if (getSyncStatus) console.log('[App] LRS Sync Status:', getSyncStatus());
     }
-  }, [isListening, getRecords, getProgressSummary]);
+  }, [isListening, getRecords, getProgressSummary, getSyncStatus]);
+
+  // Each route starts at the top with its own document title
+  useEffect(() => {
+    document.title = pageTitle ? `${pageTitle} | ${SITE_TITLE}` : SITE_TITLE;
+    window.scrollTo(0, 0);
+  }, [route.pathname, pageTitle]);
 
   const handleZoomIn = () => setZoom(z => Math.min(z + 0.1, 2));
   const handleZoomOut = () => setZoom(z => Math.max(z - 0.1, 0.5));
@@ -50,7 +69,7 @@ export default function App() {
     <>
   <a href="#main" className="skip-link">Skip to content</a>
       <nav className="site-nav" aria-label="Main navigation" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-        <div className="brand">Entrepreneur Legacy Quick Awareness</div>
+        <Link to={ROUTES.catalogue} className="brand">Entrepreneur Legacy Quick Awareness</Link>
         <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
           <button
             type="button"
@@ -73,25 +92,10 @@ export default function App() {
         </div>
       </nav>
   <main id="main" style={{ transform: `scale(${zoom})`, transformOrigin: 'top center' }}>
-        
-
-
-        {H5P_ACTIVITIES.map(activity => (
-          <section key={activity.slug} id={activity.slug} className="h5p-wrapper full-bleed" aria-labelledby={`${activity.slug}-heading`}>
-            <div className="h5p-header-row">
-              <h2 id={`${activity.slug}-heading`}>{activity.title}</h2>
-              <p className="activity-summary">{activity.summary}</p>
-              
-            </div>
-            <H5PPlayer
-              h5pPath={`${H5P_CONTENT_BASE}/${activity.slug}`}
-              embedType={activity.embedType || 'iframe'}
-              debug={activity.debug || false}
-            />
-          </section>
-        ))}
-
-       
+        {loading && <p className="loading" role="status">Loading activities…</p>}
+        {!loading && route.name === 'catalogue' && <ActivityCatalogue activities={activities} />}
+        {activity && <ActivityPage key={activity.slug} activity={activity} />}
+        {!loading && route.name !== 'catalogue' && !activity && <NotFound slug={route.params.slug} />}
 
         <footer className="footer">Koha Digital H5P Quiz</footer>
       </main>
@@ -0,0 +1,34 @@
+import React from 'react';
+import Link from './Link';
+import { ROUTES } from '../hooks/useRoute';
+import { getActivityThumbnail } from '../config/h5pActivities';
+
+// Landing page listing every activity with a link to its own page
+export default function ActivityCatalogue({ activities }) {
+  return (
+    <section aria-labelledby="catalogue-heading">
+      <h1 id="catalogue-heading">Activities</h1>
+      <p className="hero-intro">Pick an activity to get started. Your progress is saved in this browser.</p>
+
+      <ul className="grid activity-grid">
+        {activities.map(activity => {
+          const thumbnail = getActivityThumbnail(activity);
+          return (
+            <li key={activity.slug} className="feature activity-card">
+              <Link to={ROUTES.activity(activity.slug)} className="activity-card-link">
+                {thumbnail && <img className="activity-thumbnail" src={thumbnail} alt="" loading="lazy" />}
+                <h3>{activity.title}</h3>
+                <p>{activity.summary}</p>
+                {activity.tags?.length > 0 && (
+                  <ul className="activity-tags" aria-label="Tags">
+                    {activity.tags.map(tag => <li key={tag}>{tag}</li>)}
+                  </ul>
+                )}
+              </Link>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
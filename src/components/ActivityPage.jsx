@@ -0,0 +1,27 @@
+import React from 'react';
+import LazyH5PPlayer from './LazyH5PPlayer';
+import Link from './Link';
+import { ROUTES } from '../hooks/useRoute';
+import { H5P_PLAYER_BASE, getActivityLibrariesPath, getActivityPath } from '../config/h5pActivities';
+
+// A single activity on its own page (/activity/:slug)
+export default function ActivityPage({ activity }) {
+  return (
+    <>
+      <Link to={ROUTES.catalogue} className="back-link">← All activities</Link>
+      <section id={activity.slug} className="h5p-wrapper full-bleed" aria-labelledby={`${activity.slug}-heading`}>
+        <div className="h5p-header-row">
+          <h2 id={`${activity.slug}-heading`}>{activity.title}</h2>
+          <p className="activity-summary">{activity.summary}</p>
+        </div>
+        <LazyH5PPlayer
+          h5pPath={getActivityPath(activity)}
+          librariesPath={getActivityLibrariesPath(activity)}
+          playerBase={H5P_PLAYER_BASE}
+          embedType={activity.embedType || 'iframe'}
+          debug={activity.debug || false}
+        />
+      </section>
+    </>
+  );
+}
@@ -1,6 +1,7 @@
-﻿import React, { useEffect, useRef, useCallback } from "react";
-import { ensureH5PGlobals } from "../utils/h5pLoader";
-import useXapiTracker from "../hooks/useXapiTracker";
+﻿import React, { useEffect, useRef, useCallback, useState } from "react";
+import { ensureH5PGlobals, getH5PInstance, destroyH5PContent, resetH5PGlobals, H5PLoadError, H5P_LOAD_ERRORS } from "../utils/h5pLoader";
+import useXapiTracking from "../hooks/useXapiTracking";
+import { generateActivityIRI } from "../config/xapiConfig";
 import PortraitFullscreenH5P from "./PortraitFullscreenH5P";
 
 // Helper function for logging
@@ -13,43 +14,71 @@ const getActivityId = (h5pPath) => {
   return h5pPath.split('/').pop() || 'unknown-activity';
 };
 
-// Setup H5P event listeners for custom events not covered by useXapiTracker
-const setupH5PEventListeners = (h5pInstance, activityId, debug) => {
-  logDebug(debug, '[H5P Events] Setting up custom event listeners for activity:', activityId);
-  
-  // Note: Main xAPI events are now handled by useXapiTracker hook automatically
-  // Only handle custom personality quiz events here as they don't emit standard xAPI
+// What learners are told for each kind of load failure
+const LOAD_ERROR_MESSAGES = {
+  [H5P_LOAD_ERRORS.CONTENT_MISSING]: "This activity could not be found. It may have been moved or removed.",
+  [H5P_LOAD_ERRORS.NETWORK]: "The activity could not be loaded. Check your internet connection and try again.",
+  [H5P_LOAD_ERRORS.PLAYER_UNAVAILABLE]: "The activity player could not be started. Check your internet connection and try again.",
+  [H5P_LOAD_ERRORS.CONTENT_INVALID]: "This activity could not be started because some of its files are missing or damaged."
+};
+
+// Saved content state per activity, handed back to h5p-standalone as contentUserData
+const USER_STATE_KEY = 'h5p-user-state';
+
+const loadUserState = (activityId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USER_STATE_KEY) || '{}');
+    return stored[activityId]?.state ?? null;
+  } catch (e) {
+    console.warn('[H5PPlayer] Failed to read saved state:', e);
+    return null;
+  }
+};
 
-  // Personality Quiz library does NOT emit built-in xAPI; bridge custom events
+const saveUserState = (activityId, state) => {
   try {
-    if (h5pInstance && h5pInstance.on) {
-      h5pInstance.on('personality-quiz-answer', (data) => {
-        logDebug(debug, '[H5P Events] Personality quiz answer:', data);
-      });
-      h5pInstance.on('personality-quiz-completed', () => {
-        logDebug(debug, '[H5P Events] Personality quiz completed');
-      });
-      logDebug(debug, '[H5P Events] Personality quiz custom event bridge active');
+    const stored = JSON.parse(localStorage.getItem(USER_STATE_KEY) || '{}');
+    if (state === undefined || state === null) {
+      delete stored[activityId];
+    } else {
+      stored[activityId] = { state, updated: new Date().toISOString() };
     }
+    localStorage.setItem(USER_STATE_KEY, JSON.stringify(stored));
   } catch (e) {
-    console.error('[H5P Events] Failed setting up personality quiz bridges', e);
+    console.warn('[H5PPlayer] Failed to save state:', e);
   }
 };
 
 export default function H5PPlayer({
   h5pPath = "/h5p/my-interactive",
+  librariesPath,
   playerBase = "/assets/h5p-player",
   embedType = "iframe",
   retryCount = 40,
   retryInterval = 200,
   debug = false,
+  onReady,
+  onError,
+  onStatement,
 }) {
   const containerRef = useRef(null);
   const pathRef = useRef(h5pPath);
   const wrapperRef = useRef(null);
+  // 'loading' | 'ready' | 'error'; attempt is bumped by the retry button to run the mount effect again
+  const [load, setLoad] = useState({ status: "loading", error: null });
+  const [attempt, setAttempt] = useState(0);
+  // Latest callbacks, without remounting the content when the host passes new functions
+  const onReadyRef = useRef(onReady);
+  const onErrorRef = useRef(onError);
+  const onStatementRef = useRef(onStatement);
+  useEffect(() => {
+    onReadyRef.current = onReady;
+    onErrorRef.current = onError;
+    onStatementRef.current = onStatement;
+  }, [onReady, onError, onStatement]);
   
-  // Initialize xAPI tracking hook - this handles all the main xAPI events now
-  const { isListening } = useXapiTracker();
+  // The app-wide tracker stores statements; this player registers to get the ones its content sends
+  const { isListening, registerPlayer } = useXapiTracking();
   
   if (debug && isListening) {
     logDebug(debug, '[xAPI] Tracker is listening for events');
@@ -111,25 +140,41 @@ export default function H5PPlayer({
 
   useEffect(() => {
     let cancelled = false;
+    let detachStateListeners = null;
+    // Each mount renders into its own host, so a mount that is torn down while h5p-standalone is
+    // still loading (StrictMode, switching activities) cannot add a second quiz to the container
+    const host = document.createElement("div");
+    host.className = "h5p-mount";
+
+    const fail = (error) => {
+      if (cancelled) return;
+      console.error(`[H5PPlayer] ${error.message}`, error.cause || '');
+      setLoad({ status: "error", error });
+      onErrorRef.current?.(error);
+    };
+
+    setLoad({ status: "loading", error: null });
+
     (async () => {
       const currentPath = h5pPath;
       pathRef.current = currentPath;
       logDebug(debug, "[H5PPlayer] Mounting content from", currentPath);
 
       try {
-        const probe = await fetch(`${currentPath}/h5p.json?cb=${Date.now()}`);
+        // Same URL h5p-standalone requests next, so the probe also warms the cache for it
+        const probe = await fetch(`${currentPath}/h5p.json`);
         if (!probe.ok) {
-          console.error(`[H5PPlayer] h5p.json not found (status ${probe.status}) at ${currentPath}/h5p.json`);
-          return;
+          return fail(new H5PLoadError(`h5p.json not found (status ${probe.status}) at ${currentPath}/h5p.json`, {
+            type: probe.status === 404 ? H5P_LOAD_ERRORS.CONTENT_MISSING : H5P_LOAD_ERRORS.NETWORK
+          }));
         }
       } catch (e) {
-        console.error("[H5PPlayer] Failed to fetch h5p.json:", e);
-        return;
+        return fail(new H5PLoadError("Failed to fetch h5p.json", { type: H5P_LOAD_ERRORS.NETWORK, cause: e }));
       }
+      if (cancelled) return;
 
-      if (containerRef.current) {
-        containerRef.current.innerHTML = "";
-      }
+      if (!containerRef.current) return;
+      containerRef.current.replaceChildren(host);
 
       try {
         let frameBundle;
@@ -139,47 +184,107 @@ export default function H5PPlayer({
           frameBundle = globals.frameBundle;
           frameCss = globals.frameCss;
         } catch (e) {
-          console.error('[H5PPlayer] Failed ensuring globals', e);
-          return;
+          return fail(e instanceof H5PLoadError ? e : new H5PLoadError("Failed ensuring globals", { type: H5P_LOAD_ERRORS.PLAYER_UNAVAILABLE, cause: e }));
         }
+        if (cancelled) return;
 
         const Constructor = window.H5PStandalone?.H5P;
         if (!Constructor) {
-          console.error('[H5PPlayer] H5P constructor missing');
-          return;
+          return fail(new H5PLoadError("H5P constructor missing", { type: H5P_LOAD_ERRORS.PLAYER_UNAVAILABLE }));
         }
 
-        const options = { h5pJsonPath: currentPath, frameJs: frameBundle, frameCss, embedType };
+        // The object IRI is used as statement.object.id, so the tracker can map
+        // xAPI statements (attempted/answered/completed) back to this activity
+        const activityId = getActivityId(currentPath);
+        const activityIRI = generateActivityIRI(activityId);
+        // Our own content id, so the tracker can tell this player's statements from another one showing the same activity
+        const contentId = `${activityId}-${Math.random().toString(36).slice(2, 9)}`;
+        const options = {
+          id: contentId,
+          h5pJsonPath: currentPath,
+          frameJs: frameBundle,
+          frameCss,
+          embedType,
+          xAPIObjectIRI: activityIRI
+        };
+        // Shared libraries folder; h5p-standalone defaults to the content folder
+        if (librariesPath) options.librariesPath = librariesPath;
+
+        // Resume from the saved state; H5P only passes previousState to the content when saveFreq is set
+        const savedState = loadUserState(activityId);
+        if (savedState) {
+          options.contentUserData = [{ state: JSON.stringify(savedState) }];
+          options.saveFreq = 30;
+          logDebug(debug, "[H5PPlayer] Resuming from saved state", savedState);
+        }
         logDebug(debug, "[H5PPlayer] Initializing with options", options);
 
+        // Registered before the content starts, so statements sent while it initializes are routed too.
+        // Save the content state after each of its statements, once the content has handled the event
+        const persistState = () => {
+          const instance = getH5PInstance(host);
+          if (instance && typeof instance.getCurrentState === 'function') {
+            saveUserState(activityId, instance.getCurrentState());
+          }
+        };
+        const unregisterPlayer = registerPlayer({
+          contentId,
+          activityIRI,
+          h5pPath: currentPath,
+          onStatement: (statement) => {
+            setTimeout(persistState, 0);
+            onStatementRef.current?.(statement);
+          }
+        });
+        window.addEventListener('pagehide', persistState);
+        detachStateListeners = () => {
+          // Keep the learner's place when the player unmounts (route change, scrolled far away)
+          persistState();
+          unregisterPlayer();
+          window.removeEventListener('pagehide', persistState);
+        };
+
         try {
-          const h5pInstance = new Constructor(containerRef.current, options);
-          logDebug(debug, "[H5PPlayer] Initialized content for", currentPath);
-          
-          const activityId = getActivityId(currentPath);
-          const activityName = activityId.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-          logDebug(debug, '[H5P Events] Activity started:', activityId, activityName);
-          
-          setupH5PEventListeners(h5pInstance, activityId, debug);
-        } catch {
-          const activityId = getActivityId(currentPath);
-          const activityName = activityId.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-          logDebug(debug, '[H5P Events] Activity started (delayed):', activityId, activityName);
+          // Resolves once the libraries are loaded and the content is rendered
+          await new Constructor(host, options);
+        } catch (e) {
+          return fail(new H5PLoadError(`Failed to start the content at ${currentPath}`, { type: H5P_LOAD_ERRORS.CONTENT_INVALID, cause: e }));
+        }
+        // The cleanup already ran; this content finished rendering after it and is torn down here
+        if (cancelled) {
+          destroyH5PContent(host);
+          return;
         }
+        logDebug(debug, "[H5PPlayer] Initialized content for", currentPath);
+
+        const activityName = activityId.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        logDebug(debug, '[H5P Events] Activity started:', activityId, activityName);
+
+        setLoad({ status: "ready", error: null });
+        onReadyRef.current?.({ h5pPath: currentPath, activityId });
 
         setTimeout(() => {
-          if (!cancelled && containerRef.current && containerRef.current.innerHTML.trim() === "") {
+          if (!cancelled && host.innerHTML.trim() === "") {
             logDebug(debug, "[H5PPlayer] Container still empty after initialization. Check console/network for errors.");
           }
         }, 300);
       } catch (err) {
-        if (!cancelled) console.error("[H5PPlayer] unexpected error:", err);
+        fail(new H5PLoadError("Unexpected error while loading the content", { cause: err }));
       }
     })();
     return () => {
       cancelled = true;
+      if (detachStateListeners) detachStateListeners();
+      destroyH5PContent(host);
+      logDebug(debug, "[H5PPlayer] Destroyed content for", h5pPath);
     };
-  }, [h5pPath, playerBase, embedType, retryCount, retryInterval, debug]);
+  }, [h5pPath, librariesPath, playerBase, embedType, retryCount, retryInterval, debug, attempt, registerPlayer]);
+
+  // A failed player load is cached by ensureH5PGlobals; forget it before trying again
+  const handleRetry = useCallback(() => {
+    resetH5PGlobals();
+    setAttempt(a => a + 1);
+  }, []);
 
   useEffect(() => {
     document.addEventListener('fullscreenchange', handleFsChange);
@@ -198,8 +303,17 @@ export default function H5PPlayer({
         targetSelector=".h5p-container"
         controlsEnabled={true}
       >
-        <div ref={containerRef} className="h5p-container" />
+        <div ref={containerRef} className="h5p-container" hidden={load.status === "error"} />
       </PortraitFullscreenH5P>
+      {load.status === "loading" && (
+        <div className="h5p-player-status" role="status">Loading activity…</div>
+      )}
+      {load.status === "error" && (
+        <div className="h5p-player-status h5p-player-error" role="alert">
+          <p>{LOAD_ERROR_MESSAGES[load.error?.type] || LOAD_ERROR_MESSAGES[H5P_LOAD_ERRORS.CONTENT_INVALID]}</p>
+          <button type="button" onClick={handleRetry}>Try again</button>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,49 @@
+import React, { useEffect, useRef, useState } from 'react';
+import H5PPlayer from './H5PPlayer';
+import useViewportMount from '../hooks/useViewportMount';
+import { getActivityMeta, loadActivityMeta } from '../utils/h5pLoader';
+
+// Stand-in shown until the player mounts: the title from h5p.json and the title screen image.
+// Only the two small JSON files are fetched; the player bundle and the content load on mount.
+function H5PPoster({ h5pPath, title }) {
+  const [meta, setMeta] = useState(() => getActivityMeta(h5pPath) || null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadActivityMeta(h5pPath).then(loaded => {
+      if (!cancelled) setMeta(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [h5pPath]);
+
+  const image = meta?.titleImage;
+  return (
+    <div className="h5p-poster" aria-hidden="true">
+      {image && <img className="h5p-poster-image" src={image.src} alt="" loading="lazy" />}
+      <p className="h5p-poster-title">{title || meta?.title || 'Activity'}</p>
+    </div>
+  );
+}
+
+/**
+ * LazyH5PPlayer - H5PPlayer that mounts when it scrolls near the viewport
+ *
+ * Shows a poster until then, and unmounts the player again once it is far off-screen;
+ * the content state is saved on unmount and resumed when it comes back.
+ * Takes the H5PPlayer props, plus `title` for the poster (defaults to the h5p.json title)
+ * and `mountMargin`/`unmountMargin` (see useViewportMount).
+ */
+export default function LazyH5PPlayer({ title, mountMargin, unmountMargin, ...playerProps }) {
+  const placeholderRef = useRef(null);
+  const mounted = useViewportMount(placeholderRef, { mountMargin, unmountMargin });
+
+  return (
+    <div ref={placeholderRef} className="h5p-lazy">
+      {mounted
+        ? <H5PPlayer {...playerProps} />
+        : <H5PPoster h5pPath={playerProps.h5pPath} title={title} />}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import React from 'react';
+import { navigate, toHref } from '../hooks/useRoute';
+
+// Anchor for in-app paths; plain clicks navigate without a page load,
+// modified clicks (new tab, new window) are left to the browser
+export default function Link({ to, onClick, children, ...props }) {
+  const handleClick = (event) => {
+    onClick?.(event);
+    if (event.defaultPrevented || event.button !== 0) return;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    if (props.target && props.target !== '_self') return;
+
+    event.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={toHref(to)} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+}
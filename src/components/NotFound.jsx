@@ -0,0 +1,18 @@
+import React from 'react';
+import Link from './Link';
+import { ROUTES } from '../hooks/useRoute';
+
+// Shown for unknown paths and activity slugs
+export default function NotFound({ slug }) {
+  return (
+    <section className="not-found" aria-labelledby="not-found-heading">
+      <h1 id="not-found-heading">Page not found</h1>
+      <p className="hero-intro">
+        {slug
+          ? <>There is no activity called <code>{slug}</code>.</>
+          : <>There is nothing at this address.</>}
+      </p>
+      <Link to={ROUTES.catalogue}>Browse all activities</Link>
+    </section>
+  );
+}
@@ -0,0 +1,15 @@
+import React from 'react';
+import useXapiTracker from '../hooks/useXapiTracker';
+import { XapiTrackerContext } from '../hooks/useXapiTracking';
+
+// Mounts the xAPI tracker once for the whole app, so each statement is listened for and stored once
+// however many players are on the page; players register with it through useXapiTracking
+export default function XapiTrackerProvider({ lrsQueue = null, children }) {
+  const tracker = useXapiTracker({ lrsQueue });
+
+  return (
+    <XapiTrackerContext.Provider value={tracker}>
+      {children}
+    </XapiTrackerContext.Provider>
+  );
+}
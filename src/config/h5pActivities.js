@@ -1,13 +1,38 @@
-// Central definition of H5P activities
+// Built-in H5P activities. The app reads the list from activities.json in
+// H5P_CONTENT_BASE at runtime (see utils/activityManifest.js); this one is
+// only used when that manifest is missing or has no valid entries.
 export const H5P_ACTIVITIES = [
   {
     slug: 'personality-quiz', // URL-safe slug for path construction
     title: 'Personality Quiz',
     summary: 'Interactive personality assessment to discover your unique traits and characteristics.',
+    thumbnail: 'content/images/file-0RGhKJ6N.png', // Relative to the activity folder, shown in the catalogue
     embedType: 'iframe', // Using div as specified in h5p.json
     debug: true
   }
 ];
 
-export const H5P_PLAYER_BASE = import.meta.env.VITE_H5P_PLAYER_BASE || '/assets/h5p-player';
-export const H5P_CONTENT_BASE = import.meta.env.VITE_H5P_CONTENT_BASE || '/h5p';
\ No newline at end of file
+// The defaults are the folders in public/, under the app's BASE_URL; the build hands the same
+// values to the service worker (vite.config.js), so keep the two in step
+export const H5P_PLAYER_BASE = import.meta.env.VITE_H5P_PLAYER_BASE || `${import.meta.env.BASE_URL}assets/h5p-player`;
+export const H5P_CONTENT_BASE = import.meta.env.VITE_H5P_CONTENT_BASE || `${import.meta.env.BASE_URL}h5p`;
+// Versioned copies of H5P_CONTENT_BASE: the build writes each package to <base>/<version>/<slug>
+// (scripts/versioned-content.cjs), which is cached for good. Set it to '' to turn versioning off.
+export const H5P_VERSIONED_BASE = import.meta.env.VITE_H5P_VERSIONED_BASE ?? `${import.meta.env.BASE_URL}h5p-v`;
+
+export const getActivity = (slug, activities = H5P_ACTIVITIES) => activities.find(activity => activity.slug === slug) || null;
+
+// Base every request for an activity goes through; the content hash the build adds to its manifest
+// puts it under a new URL whenever the package changes, so cached files are never stale
+const getContentBase = (activity) => H5P_VERSIONED_BASE && activity.version
+  ? `${H5P_VERSIONED_BASE}/${activity.version}`
+  : H5P_CONTENT_BASE;
+
+export const getActivityPath = (activity) => `${getContentBase(activity)}/${activity.slug}`;
+
+// Activities keep their libraries in their own folder unless the manifest says they use the
+// <content base>/libraries folder scripts/import-h5p.cjs installs into, shared between activities.
+// The version covers the libraries the activity uses, so shared ones are versioned with it.
+export const getActivityLibrariesPath = (activity) => activity.sharedLibraries ? `${getContentBase(activity)}/libraries` : undefined;
+
+export const getActivityThumbnail = (activity) => activity.thumbnail ? `${getActivityPath(activity)}/${activity.thumbnail}` : null;
@@ -19,9 +19,31 @@ export const XAPI_CONFIG = {
   actor: {
     name: 'Anonymous User',
     mbox: 'mailto:anonymous@example.com'
+  },
+
+  // Background forwarding of stored statements to the LRS (see utils/lrsQueue.js)
+  forwarding: {
+    enabled: import.meta.env.VITE_XAPI_FORWARD === 'true',
+    batchSize: Number(import.meta.env.VITE_XAPI_FORWARD_BATCH_SIZE) || 25,
+    debug: import.meta.env.VITE_XAPI_DEBUG === 'true'
   }
 };
 
+// Event H5P.PersonalityQuiz sends on H5P.externalDispatcher when a learner leaves their details
+export const PERSONALITY_QUIZ_LEAD_EVENT = 'personality-quiz-lead';
+
+// Object definition extension H5P core sets to the content id of the instance that sent the statement
+export const H5P_LOCAL_CONTENT_ID_EXTENSION = 'http://h5p.org/x-api/h5p-local-content-id';
+
+// Result and context extensions emitted by H5P.PersonalityQuiz (see personalityQuiz.js)
+export const PERSONALITY_QUIZ_EXTENSIONS = {
+  personality: 'https://h5p.org/x-api/personality-quiz/personality',
+  personalities: 'https://h5p.org/x-api/personality-quiz/personalities',
+  revision: 'https://h5p.org/x-api/personality-quiz/revision',
+  total: 'https://h5p.org/x-api/personality-quiz/total',
+  cta: 'https://h5p.org/x-api/personality-quiz/cta'
+};
+
 // Initialize TinCan LRS connection with error handling
 export const initializeXAPI = async () => {
   try {
@@ -45,15 +67,16 @@ export const initializeXAPI = async () => {
 };
 
 // Generate unique actor based on session or user data
+// Without TinCan the actor is returned as plain statement JSON
 export const generateActor = (TinCan, userInfo = {}) => {
-  if (!TinCan) return null;
-  
+  const email = userInfo.email?.trim();
   const defaultActor = {
-    name: userInfo.name || XAPI_CONFIG.actor.name,
-    mbox: userInfo.email || XAPI_CONFIG.actor.mbox
+    objectType: 'Agent',
+    name: userInfo.name?.trim() || XAPI_CONFIG.actor.name,
+    mbox: email ? (email.startsWith('mailto:') ? email : `mailto:${email}`) : XAPI_CONFIG.actor.mbox
   };
-  
-  return new TinCan.Agent(defaultActor);
+
+  return TinCan ? new TinCan.Agent(defaultActor) : defaultActor;
 };
 
 // Generate activity IRI
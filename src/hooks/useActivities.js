@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { H5P_ACTIVITIES, H5P_CONTENT_BASE } from '../config/h5pActivities';
+import { loadActivityManifest } from '../utils/activityManifest';
+
+/**
+ * useActivities - the activities listed in the runtime manifest
+ *
+ * status is 'loading' until the manifest is read, then 'manifest', or
+ * 'fallback' when the built-in H5P_ACTIVITIES are used instead.
+ *
+ * @returns {Object} { activities, status, errors }
+ */
+export default function useActivities() {
+  const [state, setState] = useState({ activities: [], status: 'loading', errors: [] });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadActivityManifest({ contentBase: H5P_CONTENT_BASE, fallback: H5P_ACTIVITIES }).then(({ activities, source, errors }) => {
+      if (!cancelled) setState({ activities, status: source, errors });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return state;
+}
@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+
+// Client-side routing on the History API. The host serves index.html for
+// every path (see public/_redirects), so deep links survive a refresh.
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+export const ROUTES = {
+  catalogue: '/',
+  activity: (slug) => `/activity/${encodeURIComponent(slug)}`
+};
+
+// Full href for an app path, taking the deploy base into account
+export const toHref = (path) => `${BASE}${path}`;
+
+// Resolve a location pathname to { name, params }; unknown paths are 'not-found'
+export const matchRoute = (pathname) => {
+  const path = (pathname.startsWith(BASE) ? pathname.slice(BASE.length) : pathname).replace(/\/+$/, '') || '/';
+
+  if (path === ROUTES.catalogue) return { name: 'catalogue', params: {} };
+
+  const activity = path.match(/^\/activity\/([^/]+)$/);
+  if (activity) {
+    try {
+      return { name: 'activity', params: { slug: decodeURIComponent(activity[1]) } };
+    } catch {
+      // Malformed escape sequence, fall through to not-found
+    }
+  }
+
+  return { name: 'not-found', params: {} };
+};
+
+// Push a new entry and let every useRoute instance know
+export const navigate = (path, { replace = false } = {}) => {
+  const href = toHref(path);
+  if (href === window.location.pathname) return;
+  window.history[replace ? 'replaceState' : 'pushState']({}, '', href);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+};
+
+/**
+ * useRoute - the current route, kept in sync with browser navigation
+ *
+ * @returns {Object} { name, params, pathname }
+ */
+export default function useRoute() {
+  const [pathname, setPathname] = useState(() => window.location.pathname);
+
+  useEffect(() => {
+    const handlePopState = () => setPathname(window.location.pathname);
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  return { ...matchRoute(pathname), pathname };
+}
@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * useViewportMount - whether something heavy should be mounted, given where its element is
+ *
+ * Becomes true once the element comes within `mountMargin` of the viewport, and false again
+ * when it is more than `unmountMargin` away, so scrolling a little back and forth does not
+ * remount it. Without IntersectionObserver it is always true.
+ *
+ * @param {Object} ref Ref to the element that stands in for the content
+ * @param {Object} [options]
+ * @param {string} [options.mountMargin] rootMargin that mounts the content
+ * @param {string} [options.unmountMargin] rootMargin outside of which the content is unmounted
+ * @returns {boolean}
+ */
+export default function useViewportMount(ref, { mountMargin = '200px', unmountMargin = '1500px' } = {}) {
+  const [mounted, setMounted] = useState(() => typeof IntersectionObserver === 'undefined');
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || typeof IntersectionObserver === 'undefined') return;
+
+    const near = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) setMounted(true);
+    }, { rootMargin: mountMargin });
+    const far = new IntersectionObserver(([entry]) => {
+      if (!entry.isIntersecting) setMounted(false);
+    }, { rootMargin: unmountMargin });
+
+    near.observe(element);
+    far.observe(element);
+    return () => {
+      near.disconnect();
+      far.disconnect();
+    };
+  }, [ref, mountMargin, unmountMargin]);
+
+  return mounted;
+}
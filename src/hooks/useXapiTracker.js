@@ -1,25 +1,47 @@
-import { useEffect, useRef, useState, useCallback } from 'react';
+import { useEffect, useRef, useState, useCallback, useMemo } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { XAPI_CONFIG, PERSONALITY_QUIZ_EXTENSIONS, PERSONALITY_QUIZ_LEAD_EVENT, H5P_LOCAL_CONTENT_ID_EXTENSION, generateActor } from '../config/xapiConfig';
+import { getActivityPath } from '../config/h5pActivities';
+import { validateStatement } from '../utils/xapiValidator';
+import { getActivityMeta, loadActivityMeta } from '../utils/h5pLoader';
 
 /**
  * useXapiTracker - React hook for capturing H5P xAPI statements and tracking progress
  * 
  * Features:
  * - Listens for xAPI events from H5P activities
- * - Stores all statements in localStorage
+ * - Validates statements (xAPI 1.0.3) and stores them in localStorage
+ * - Quarantines malformed statements with the validation errors
  * - Tracks progress with completion percentages
+ *   (answered/total questions and the outcome for personality quizzes)
+ * - Keeps contact details a learner consented to leave in a personality quiz
+ *   with the attempt, and uses them as the actor of its later statements
  * - Calculates summary statistics
+ * - Optionally forwards stored statements to an LRS through an lrsQueue
+ * - Routes each statement to the registered player whose content sent it
+ * - Drops statements it has already seen (same statement id)
  * - Handles cleanup and error recovery
+ *
+ * The listeners are global, so mount this hook once (XapiTrackerProvider does)
+ * and reach it from components through useXapiTracking.
  * 
- * @returns {Object} { getRecords, clearRecords, getProgress, getProgressSummary, isListening }
+ * @param {Object} [options]
+ * @param {Object} [options.lrsQueue] Queue from createLrsQueue, started while the hook is mounted
+ * @returns {Object} { getRecords, clearRecords, getQuarantine, clearQuarantine, getProgress, getProgressSummary, registerPlayer, isListening }
  */
-export default function useXapiTracker() {
+export default function useXapiTracker({ lrsQueue = null } = {}) {
   const [isListening, setIsListening] = useState(false);
   const cleanupRef = useRef(null);
   const h5pListenerRef = useRef(null);
+  const h5pLeadListenerRef = useRef(null);
   const initTimeoutRef = useRef(null);
+  // Players currently on the page, and the ids of the statements received this session
+  const playersRef = useRef(new Map());
+  const seenStatementIdsRef = useRef(new Set());
 
   // Storage keys
   const XAPI_RECORDS_KEY = 'xapiRecords';
+  const XAPI_QUARANTINE_KEY = 'xapiQuarantine';
   const PROGRESS_KEY = 'h5p-progress';
   const PROGRESS_SUMMARY_KEY = 'h5p-progress-summary';
 
@@ -58,9 +80,15 @@ export default function useXapiTracker() {
         if (match) return match[1];
       }
 
-      // Fallback to object.id
-      const objectId = statement.object?.id;
+      // Fallback to object.id (without ?subContentId=... used for questions)
+      const objectId = statement.object?.id?.split(/[?#]/)[0];
       if (objectId) {
+        // Activity IRIs generated by H5PPlayer are activityBase + slug
+        if (objectId.startsWith(XAPI_CONFIG.activityBase)) {
+          const slug = objectId.slice(XAPI_CONFIG.activityBase.length).split('/')[0];
+          if (slug) return slug;
+        }
+
         // Try to extract from URL-like object IDs
         const urlMatch = objectId.match(/\/([^/]+)(?:\/[^/]*)?$/);
         if (urlMatch) return urlMatch[1];
@@ -77,6 +105,13 @@ export default function useXapiTracker() {
     }
   }, []);
 
+  // Personality quiz statements carry the library in their category context activity
+  const isPersonalityQuizStatement = useCallback((statement) => {
+    const category = statement.context?.contextActivities?.category;
+    const categories = Array.isArray(category) ? category : (category ? [category] : []);
+    return categories.some(activity => activity?.id?.includes('H5P.PersonalityQuiz'));
+  }, []);
+
   // Calculate completion percentage from xAPI result
   const calculateCompletionPercentage = useCallback((result) => {
     if (!result || !result.score) return 0;
@@ -95,34 +130,226 @@ export default function useXapiTracker() {
       const completedActivities = activities.filter(a => a.isCompleted).length;
       const completionRate = totalActivities > 0 ? Math.round((completedActivities / totalActivities) * 100) : 0;
       
-      // Calculate average score percentage from completed activities
-      const completedWithScores = activities.filter(a => a.isCompleted && a.completionPercentage > 0);
+      // Calculate average score percentage from completed scored activities (personality quizzes have no score)
+      const completedWithScores = activities.filter(a => a.type !== 'personality' && a.isCompleted && a.completionPercentage > 0);
       const averageScorePercent = completedWithScores.length > 0 
         ? Math.round(completedWithScores.reduce((sum, a) => sum + a.completionPercentage, 0) / completedWithScores.length)
         : 0;
 
+      const averageCompletionPercent = totalActivities > 0
+        ? Math.round(activities.reduce((sum, a) => sum + (a.completionPercentage || 0), 0) / totalActivities)
+        : 0;
+
+      // Outcome of every completed personality quiz, e.g. { "The Visionary 🌟": 1 }
+      const personalityOutcomes = {};
+      activities
+        .filter(a => a.type === 'personality' && a.personality)
+        .forEach(a => {
+          personalityOutcomes[a.personality] = (personalityOutcomes[a.personality] || 0) + 1;
+        });
+
       const summary = {
         totalActivities,
         completedActivities,
         completionRate,
         averageScorePercent,
+        averageCompletionPercent,
+        personalityOutcomes,
         lastUpdated: new Date().toISOString()
       };
 
       safeStoreJSON(PROGRESS_SUMMARY_KEY, summary);
-      console.log(`[useXapiTracker] Progress Summary - ${completedActivities}/${totalActivities} activities completed (${completionRate}%), Average score: ${averageScorePercent}%`);
+      console.log(`[useXapiTracker] Progress Summary - ${completedActivities}/${totalActivities} activities completed (${completionRate}%), Average completion: ${averageCompletionPercent}%, Average score: ${averageScorePercent}%`);
 
     } catch (error) {
       console.error('[useXapiTracker] Error updating progress summary:', error);
     }
   }, [safeStoreJSON, PROGRESS_SUMMARY_KEY]);
 
+  // Completion of a personality quiz attempt is answered/total questions on the learner's path
+  const applyPersonalityCompletion = useCallback((activityProgress) => {
+    if (activityProgress.totalQuestions) {
+      activityProgress.completionPercentage = Math.min(100, Math.round((activityProgress.questionsAnswered / activityProgress.totalQuestions) * 100));
+    } else {
+      activityProgress.completionPercentage = 0;
+    }
+  }, []);
+
+  // The registered player whose content sent the statement: matched on the H5P content id,
+  // then on the activity IRI
+  const findPlayer = useCallback((statement) => {
+    const contentId = statement.object?.definition?.extensions?.[H5P_LOCAL_CONTENT_ID_EXTENSION];
+    const objectIRI = statement.object?.id?.split('?')[0];
+    const players = Array.from(playersRef.current.values());
+    return (contentId !== undefined && players.find(p => p.contentId !== undefined && String(p.contentId) === String(contentId)))
+      || players.find(p => p.activityIRI === objectIRI)
+      || null;
+  }, []);
+
+  // Update progress for a personality quiz: questions answered, per-personality tallies and the outcome
+  const updatePersonalityProgress = useCallback((slug, statement) => {
+    const verb = statement.verb?.id || '';
+    const result = statement.result || {};
+    // Read the meta where the player loads the content from, the versioned copy the service worker precaches
+    const h5pPath = findPlayer(statement)?.h5pPath || getActivityPath({ slug });
+
+    if (!['/attempted', '/answered', '/completed', '/interacted'].some(v => verb.endsWith(v))) return;
+
+    const currentProgress = safeParseJSON(PROGRESS_KEY, {});
+    const meta = getActivityMeta(h5pPath);
+
+    if (currentProgress[slug]?.type !== 'personality') {
+      currentProgress[slug] = {
+        slug,
+        type: 'personality',
+        totalQuestions: meta?.totalQuestions ?? null,
+        pathTotal: null,
+        questionsAnswered: 0,
+        answeredQuestions: [],
+        personality: null,
+        personalityTallies: {},
+        answerWeights: {},
+        revisions: 0,
+        lead: null,
+        tie: null,
+        completionPercentage: 0,
+        isCompleted: false,
+        attempts: 0,
+        completedAttempts: 0,
+        registration: null,
+        ctaClicks: {},
+        lastActivity: new Date().toISOString()
+      };
+    }
+
+    const activityProgress = currentProgress[slug];
+
+    // A new attempt starts counting answers and tallies from zero
+    if (verb.endsWith('/attempted')) {
+      activityProgress.attempts++;
+      activityProgress.questionsAnswered = 0;
+      activityProgress.answeredQuestions = [];
+      activityProgress.personalityTallies = {};
+      activityProgress.answerWeights = {};
+      activityProgress.revisions = 0;
+      activityProgress.lead = null;
+      activityProgress.tie = null;
+      activityProgress.pathTotal = null;
+      activityProgress.registration = statement.context?.registration || null;
+      console.log(`[useXapiTracker] ${slug} - Attempt ${activityProgress.attempts} started`);
+    }
+
+    // Answers can skip questions, so the quiz sends the total along the path with each answer;
+    // the question count of content.json is the total until then
+    const pathTotal = Number(statement.context?.extensions?.[PERSONALITY_QUIZ_EXTENSIONS.total]);
+    if (verb.endsWith('/answered') && pathTotal > 0) activityProgress.pathTotal = pathTotal;
+    if (activityProgress.pathTotal) {
+      activityProgress.totalQuestions = activityProgress.pathTotal;
+    } else if (meta?.totalQuestions) {
+      activityProgress.totalQuestions = meta.totalQuestions;
+    }
+
+    if (verb.endsWith('/answered')) {
+      const questionId = statement.object.id.match(/[?&]subContentId=([^&#]+)/)?.[1] || statement.object.id;
+      const revision = result.extensions?.[PERSONALITY_QUIZ_EXTENSIONS.revision];
+      // Going back withdraws the answer: the question is unanswered again and its weights come off the tallies
+      const withdrawn = revision?.withdrawn === true;
+      if (withdrawn) {
+        activityProgress.answeredQuestions = activityProgress.answeredQuestions.filter(id => id !== questionId);
+      } else if (!activityProgress.answeredQuestions.includes(questionId)) {
+        activityProgress.answeredQuestions.push(questionId);
+      }
+      activityProgress.questionsAnswered = activityProgress.answeredQuestions.length;
+
+      const personalities = result.extensions?.[PERSONALITY_QUIZ_EXTENSIONS.personalities] || [];
+      // Entries are { id, name, weight }; statements from older library versions list plain names worth 1
+      const weights = personalities.map(entry => typeof entry === 'string'
+        ? { name: entry, weight: 1 }
+        : { name: entry.name, weight: Number(entry.weight) || 0 });
+
+      // A changed answer (after going back) replaces what the question added before
+      const answerWeights = activityProgress.answerWeights || (activityProgress.answerWeights = {});
+      const tallies = activityProgress.personalityTallies;
+      (answerWeights[questionId] || []).forEach(({ name, weight }) => {
+        tallies[name] = (tallies[name] || 0) - weight;
+      });
+      weights.forEach(({ name, weight }) => {
+        tallies[name] = (tallies[name] || 0) + weight;
+      });
+      if (withdrawn) {
+        delete answerWeights[questionId];
+      } else {
+        answerWeights[questionId] = weights;
+      }
+
+      if (revision && !withdrawn) {
+        activityProgress.revisions = (activityProgress.revisions || 0) + 1;
+      }
+      console.log(`[useXapiTracker] ${slug} - Question ${withdrawn ? 'answer withdrawn' : 'answered'} (${activityProgress.questionsAnswered}/${activityProgress.totalQuestions ?? '?'})`);
+    }
+
+    if (verb.endsWith('/completed')) {
+      const outcome = result.extensions?.[PERSONALITY_QUIZ_EXTENSIONS.personality];
+      activityProgress.isCompleted = true;
+      activityProgress.completedAttempts++;
+      // Several personalities are reported when the quiz shows all tied results
+      activityProgress.personality = outcome?.results?.map(r => r.name).join(', ') || outcome?.name || result.response || null;
+      activityProgress.tie = outcome?.tie || null;
+      // The library's final counts are authoritative over the tallies collected per answer
+      if (Array.isArray(outcome?.counts)) {
+        activityProgress.personalityTallies = Object.fromEntries(outcome.counts.map(c => [c.name, c.count]));
+      }
+      activityProgress.completionPercentage = 100;
+      console.log(`[useXapiTracker] ${slug} - Personality quiz completed! Outcome: ${activityProgress.personality}`);
+    } else if (verb.endsWith('/interacted')) {
+      // Call to action clicks on the result screen, kept across attempts per personality and button
+      const cta = statement.context?.extensions?.[PERSONALITY_QUIZ_EXTENSIONS.cta];
+      if (!cta) return;
+      const key = `${cta.personality?.id}/${cta.id}`;
+      const ctaClicks = activityProgress.ctaClicks || (activityProgress.ctaClicks = {});
+      ctaClicks[key] = {
+        personality: cta.personality?.name,
+        label: cta.label,
+        url: cta.url,
+        clicks: (ctaClicks[key]?.clicks || 0) + 1,
+        lastClicked: statement.timestamp
+      };
+      console.log(`[useXapiTracker] ${slug} - Call to action "${cta.label}" followed (${cta.personality?.name})`);
+    } else {
+      applyPersonalityCompletion(activityProgress);
+    }
+
+    activityProgress.lastActivity = new Date().toISOString();
+
+    safeStoreJSON(PROGRESS_KEY, currentProgress);
+    updateProgressSummary(currentProgress);
+
+    // Question count comes from content.json; fill it in once loaded
+    if (!meta) {
+      loadActivityMeta(h5pPath).then(loaded => {
+        if (!loaded?.totalQuestions) return;
+        const progress = safeParseJSON(PROGRESS_KEY, {});
+        const stored = progress[slug];
+        if (stored?.type !== 'personality' || stored.pathTotal) return;
+        stored.totalQuestions = loaded.totalQuestions;
+        if (stored.completionPercentage !== 100) applyPersonalityCompletion(stored);
+        safeStoreJSON(PROGRESS_KEY, progress);
+        updateProgressSummary(progress);
+      });
+    }
+  }, [findPlayer, safeParseJSON, safeStoreJSON, PROGRESS_KEY, updateProgressSummary, applyPersonalityCompletion]);
+
   // Update progress tracking
   const updateProgress = useCallback((statement) => {
     try {
       const slug = extractActivitySlug(statement);
       const verb = statement.verb?.id;
       const result = statement.result;
+
+      if (isPersonalityQuizStatement(statement)) {
+        updatePersonalityProgress(slug, statement);
+        return;
+      }
       
       // Only track answered and completed verbs
       if (!verb || (!verb.endsWith('/answered') && !verb.endsWith('/completed'))) {
@@ -180,7 +407,121 @@ export default function useXapiTracker() {
     } catch (error) {
       console.error('[useXapiTracker] Error updating progress:', error);
     }
-  }, [extractActivitySlug, calculateCompletionPercentage, safeParseJSON, safeStoreJSON, PROGRESS_KEY, updateProgressSummary]);
+  }, [extractActivitySlug, isPersonalityQuizStatement, updatePersonalityProgress, calculateCompletionPercentage, safeParseJSON, safeStoreJSON, PROGRESS_KEY, updateProgressSummary]);
+
+  // Contact details left during the attempt with the given registration, if any
+  const findLead = useCallback((registration) => {
+    if (!registration) return null;
+    const progress = safeParseJSON(PROGRESS_KEY, {});
+    return Object.values(progress).find(a => a.registration === registration && a.lead)?.lead || null;
+  }, [safeParseJSON, PROGRESS_KEY]);
+
+  // Validate a statement, then store it or quarantine it together with the reasons
+  const storeStatement = useCallback((rawStatement, source) => {
+    // Statements of an attempt the learner identified themselves in carry them as the actor
+    const lead = findLead(rawStatement?.context?.registration);
+    const identified = lead ? { ...rawStatement, actor: generateActor(null, lead) } : rawStatement;
+    const { valid, errors, statement } = validateStatement(identified, { homePage: window.location.origin });
+
+    if (!valid) {
+      const quarantine = safeParseJSON(XAPI_QUARANTINE_KEY, []);
+      quarantine.push({
+        timestamp: new Date().toISOString(),
+        statement,
+        source,
+        errors
+      });
+      safeStoreJSON(XAPI_QUARANTINE_KEY, quarantine);
+      console.warn(`[useXapiTracker] Statement quarantined (${errors.length} error(s)):`, errors);
+      return false;
+    }
+
+    // Store the validated xAPI statement
+    const currentRecords = safeParseJSON(XAPI_RECORDS_KEY, []);
+    if (currentRecords.some(record => record.statement?.id === statement.id)) {
+      console.log('[useXapiTracker] Statement already stored, skipped:', statement.id);
+      return false;
+    }
+    const newRecord = {
+      timestamp: new Date().toISOString(),
+      statement,
+      source
+    };
+
+    currentRecords.push(newRecord);
+    safeStoreJSON(XAPI_RECORDS_KEY, currentRecords);
+    lrsQueue?.scheduleFlush();
+
+    // Update progress tracking
+    updateProgress(statement);
+    return true;
+  }, [findLead, safeParseJSON, safeStoreJSON, XAPI_RECORDS_KEY, XAPI_QUARANTINE_KEY, updateProgress, lrsQueue]);
+
+  // Keep the contact details of a personality quiz attempt; the quiz only sends them with consent
+  const handleLeadEvent = useCallback((event) => {
+    try {
+      const { registration, lead } = event.data || {};
+      if (!registration || lead?.consent !== true) return;
+
+      const progress = safeParseJSON(PROGRESS_KEY, {});
+      const activityProgress = Object.values(progress).find(a => a.registration === registration);
+      if (!activityProgress) {
+        console.warn('[useXapiTracker] Lead received for an unknown attempt:', registration);
+        return;
+      }
+
+      activityProgress.lead = lead;
+      safeStoreJSON(PROGRESS_KEY, progress);
+      console.log(`[useXapiTracker] ${activityProgress.slug} - Lead captured`);
+    } catch (error) {
+      console.error('[useXapiTracker] Error handling lead event:', error);
+    }
+  }, [safeParseJSON, safeStoreJSON, PROGRESS_KEY]);
+
+  /**
+   * registerPlayer - lets a player receive the statements its content sends
+   *
+   * Statements are matched on the H5P content id first, so two players showing the
+   * same activity each get their own; statements without one go to the player
+   * whose activity IRI is the statement's object.
+   *
+   * @param {Object} player
+   * @param {string} [player.contentId] data-content-id h5p-standalone gave the content
+   * @param {string} player.activityIRI xAPIObjectIRI the content was started with
+   * @param {string} [player.h5pPath] Folder the content was loaded from, used to read its question count
+   * @param {Function} player.onStatement Called with each statement (stored or quarantined)
+   * @returns {Function} Unregisters the player
+   */
+  const registerPlayer = useCallback((player) => {
+    const key = Symbol(player.activityIRI);
+    playersRef.current.set(key, player);
+    return () => playersRef.current.delete(key);
+  }, []);
+
+  const routeStatement = useCallback((statement) => {
+    const player = findPlayer(statement);
+
+    if (!player) return;
+    try {
+      player.onStatement(statement);
+    } catch (error) {
+      console.error('[useXapiTracker] Player failed to handle a statement:', error);
+    }
+  }, [findPlayer]);
+
+  // Store and route a statement once, however many ways it reaches the tracker.
+  // H5P leaves the id to the LRS; giving the event's statement one makes repeats of it recognisable.
+  const receiveStatement = useCallback((statement, source) => {
+    if (statement.id === undefined) statement.id = uuidv4();
+    if (seenStatementIdsRef.current.has(statement.id)) {
+      console.log(`[useXapiTracker] Duplicate statement from ${source} ignored:`, statement.id);
+      return;
+    }
+    seenStatementIdsRef.current.add(statement.id);
+
+    storeStatement(statement, source);
+    routeStatement(statement);
+  }, [storeStatement, routeStatement]);
 
   // Handle xAPI events from document
   const handleDocumentXapiEvent = useCallback((event) => {
@@ -190,24 +531,12 @@ export default function useXapiTracker() {
 
       console.log('[useXapiTracker] Document xAPI event received:', statement.verb?.id);
 
-      // Store the raw xAPI statement
-      const currentRecords = safeParseJSON(XAPI_RECORDS_KEY, []);
-      const newRecord = {
-        timestamp: new Date().toISOString(),
-        statement,
-        source: 'document'
-      };
-      
-      currentRecords.push(newRecord);
-      safeStoreJSON(XAPI_RECORDS_KEY, currentRecords);
-
-      // Update progress tracking
-      updateProgress(statement);
+      receiveStatement(statement, 'document');
 
     } catch (error) {
       console.error('[useXapiTracker] Error handling document xAPI event:', error);
     }
-  }, [safeParseJSON, safeStoreJSON, XAPI_RECORDS_KEY, updateProgress]);
+  }, [receiveStatement]);
 
   // Handle xAPI events from H5P.externalDispatcher
   const handleH5PXapiEvent = useCallback((event) => {
@@ -217,24 +546,12 @@ export default function useXapiTracker() {
 
       console.log('[useXapiTracker] H5P.externalDispatcher xAPI event received:', statement.verb?.id);
 
-      // Store the raw xAPI statement
-      const currentRecords = safeParseJSON(XAPI_RECORDS_KEY, []);
-      const newRecord = {
-        timestamp: new Date().toISOString(),
-        statement,
-        source: 'H5P.externalDispatcher'
-      };
-      
-      currentRecords.push(newRecord);
-      safeStoreJSON(XAPI_RECORDS_KEY, currentRecords);
-
-      // Update progress tracking
-      updateProgress(statement);
+      receiveStatement(statement, 'H5P.externalDispatcher');
 
     } catch (error) {
       console.error('[useXapiTracker] Error handling H5P xAPI event:', error);
     }
-  }, [safeParseJSON, safeStoreJSON, XAPI_RECORDS_KEY, updateProgress]);
+  }, [receiveStatement]);
 
   // Initialize H5P listener after delay
   const initializeH5PListener = useCallback(() => {
@@ -245,7 +562,9 @@ export default function useXapiTracker() {
         if (window.H5P && window.H5P.externalDispatcher) {
           console.log('[useXapiTracker] Attaching H5P.externalDispatcher listener');
           window.H5P.externalDispatcher.on('xAPI', handleH5PXapiEvent);
+          window.H5P.externalDispatcher.on(PERSONALITY_QUIZ_LEAD_EVENT, handleLeadEvent);
           h5pListenerRef.current = handleH5PXapiEvent;
+          h5pLeadListenerRef.current = handleLeadEvent;
           return true;
         }
         return false;
@@ -266,7 +585,7 @@ export default function useXapiTracker() {
         console.warn('[useXapiTracker] H5P.externalDispatcher not available after 2s delay');
       }
     }, 2000);
-  }, [handleH5PXapiEvent]);
+  }, [handleH5PXapiEvent, handleLeadEvent]);
 
   // Public API methods
   const getRecords = useCallback(() => {
@@ -284,6 +603,21 @@ export default function useXapiTracker() {
     }
   }, [XAPI_RECORDS_KEY]);
 
+  const getQuarantine = useCallback(() => {
+    return safeParseJSON(XAPI_QUARANTINE_KEY, []);
+  }, [safeParseJSON, XAPI_QUARANTINE_KEY]);
+
+  const clearQuarantine = useCallback(() => {
+    try {
+      localStorage.removeItem(XAPI_QUARANTINE_KEY);
+      console.log('[useXapiTracker] Quarantined statements cleared');
+      return true;
+    } catch (error) {
+      console.error('[useXapiTracker] Failed to clear quarantine:', error);
+      return false;
+    }
+  }, [XAPI_QUARANTINE_KEY]);
+
   const getProgress = useCallback(() => {
     return safeParseJSON(PROGRESS_KEY, {});
   }, [safeParseJSON, PROGRESS_KEY]);
@@ -294,6 +628,8 @@ export default function useXapiTracker() {
       completedActivities: 0,
       completionRate: 0,
       averageScorePercent: 0,
+      averageCompletionPercent: 0,
+      personalityOutcomes: {},
       lastUpdated: null
     });
   }, [safeParseJSON, PROGRESS_SUMMARY_KEY]);
@@ -333,6 +669,7 @@ export default function useXapiTracker() {
       if (h5pListenerRef.current && window.H5P && window.H5P.externalDispatcher) {
         try {
           window.H5P.externalDispatcher.off('xAPI', h5pListenerRef.current);
+          window.H5P.externalDispatcher.off(PERSONALITY_QUIZ_LEAD_EVENT, h5pLeadListenerRef.current);
         } catch (error) {
           console.warn('[useXapiTracker] Error removing H5P listener:', error);
         }
@@ -345,6 +682,7 @@ export default function useXapiTracker() {
       }
       
       h5pListenerRef.current = null;
+      h5pLeadListenerRef.current = null;
       setIsListening(false);
     };
 
@@ -352,17 +690,31 @@ export default function useXapiTracker() {
     return cleanupRef.current;
   }, [handleDocumentXapiEvent, initializeH5PListener]);
 
-  return {
+  // Drain stored records to the LRS while mounted (also picks up records left from earlier sessions)
+  useEffect(() => {
+    if (!lrsQueue) return;
+    lrsQueue.start();
+    return () => lrsQueue.stop();
+  }, [lrsQueue]);
+
+  // One object while nothing changes, so context consumers do not re-render on every statement
+  return useMemo(() => ({
     // Core xAPI methods
     getRecords,
     clearRecords,
-    
+    getSyncStatus: lrsQueue ? lrsQueue.getStatus : null,
+    getQuarantine,
+    clearQuarantine,
+
     // Progress tracking methods
     getProgress,
     getProgressSummary,
     clearProgress,
-    
+
+    // Player routing
+    registerPlayer,
+
     // Status
     isListening
-  };
+  }), [getRecords, clearRecords, lrsQueue, getQuarantine, clearQuarantine, getProgress, getProgressSummary, clearProgress, registerPlayer, isListening]);
 }
@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+
+// The tracker mounted by XapiTrackerProvider, shared by every player on the page
+export const XapiTrackerContext = createContext(null);
+
+/**
+ * useXapiTracking - the app's single xAPI tracker (see useXapiTracker)
+ *
+ * @returns {Object} What useXapiTracker returns
+ */
+export default function useXapiTracking() {
+  const tracker = useContext(XapiTrackerContext);
+  if (!tracker) throw new Error('useXapiTracking must be used inside <XapiTrackerProvider>');
+  return tracker;
+}
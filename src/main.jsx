@@ -2,9 +2,23 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import XapiTrackerProvider from './components/XapiTrackerProvider.jsx'
+import { XAPI_CONFIG } from './config/xapiConfig'
+import { createLrsQueue, createFetchTransport } from './utils/lrsQueue'
+import { registerServiceWorker } from './utils/registerServiceWorker'
+
+// Shared queue forwarding stored xAPI records to the LRS (opt-in via VITE_XAPI_FORWARD)
+const lrsQueue = XAPI_CONFIG.forwarding.enabled
+  ? createLrsQueue({ transport: createFetchTransport(XAPI_CONFIG), ...XAPI_CONFIG.forwarding })
+  : null
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <XapiTrackerProvider lrsQueue={lrsQueue}>
+      <App />
+    </XapiTrackerProvider>
   </StrictMode>,
 )
+
+// Offline support for production builds: app, player and activities are cached by the service worker
+registerServiceWorker()
@@ -0,0 +1,114 @@
+// Service worker template. The build (vite.config.js) writes it to dist/sw.js behind the
+// precache list from scripts/precache-manifest.cjs, as self.__PRECACHE = { version, shell, files, bases }
+// where bases are the player, content and versioned content bases the app was built with.
+//
+// - Precaches the app shell, the h5p-standalone player and the activities, so a quiz opens offline;
+//   the precache version covers the contents of every file, so any change replaces the precache
+// - Built assets and versioned content are cache first: their URLs change when they do
+//   (<base>assets/<name>-<hash>, <versioned>/<version>/...); the player (<player>/...) and
+//   unversioned content (<content>/<slug>/...) are served from cache and refreshed in the background
+// - Pages and activities.json are network first, falling back to the cached copy offline
+// - Anything else, including statements POSTed to the LRS, goes straight to the network; xAPI
+//   records wait in localStorage and lrsQueue sends them when the browser is back online
+const { version, shell, files, bases } = self.__PRECACHE;
+// The app's BASE_URL, the scope registerServiceWorker registers with
+const BASE = new URL(self.registration.scope).pathname;
+
+const CACHE_PREFIX = 'h5p-quiz-';
+const PRECACHE = `${CACHE_PREFIX}precache-${version}`;
+// Activities published after the build and unversioned content, cached as they are opened
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+
+// Compared as absolute URLs, so bases given as full URLs of this origin match too
+const absolute = (url) => new URL(url, self.location.origin).href;
+const NETWORK_FIRST = [absolute(`${bases.content}/activities.json`)];
+const STALE_WHILE_REVALIDATE_PREFIXES = [`${bases.player}/`, `${bases.content}/`].map(absolute);
+// An empty versioned base turns versioning off
+const CACHE_FIRST_PREFIXES = [`${BASE}assets/`, ...(bases.versioned ? [`${bases.versioned}/`] : [])].map(absolute);
+
+// Revalidates with the server, so the HTTP cache cannot put an old copy in a new precache
+const fresh = url => new Request(url, { cache: 'no-cache' });
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE);
+    // The shell has to be complete for the app to start offline
+    await cache.addAll(shell.map(fresh));
+    // A missing content file should not keep the rest of the app from working offline
+    await Promise.allSettled(files.map(url => cache.add(fresh(url))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(`${CACHE_PREFIX}precache-`) && name !== PRECACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const putInCache = async (request, response) => {
+  if (!response.ok) return;
+  const cache = await caches.open(RUNTIME_CACHE);
+  await cache.put(request, response);
+};
+
+async function networkFirst(request, fallbackUrl) {
+  try {
+    const response = await fetch(request);
+    await putInCache(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true }) || (fallbackUrl && await caches.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  await putInCache(request, response.clone());
+  return response;
+}
+
+// Serves the cached copy right away and updates the cache it came from for next time
+function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cached = caches.open(PRECACHE).then(async (precache) => {
+    const response = await precache.match(request);
+    return response
+      ? { response, cache: precache }
+      : { response: await caches.match(request), cache: await caches.open(RUNTIME_CACHE) };
+  });
+  const refresh = Promise.all([fetch(request), cached]).then(async ([response, { cache }]) => {
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  });
+  event.waitUntil(refresh.catch(() => {}));
+  return cached.then(({ response }) => response || refresh);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  const target = `${url.origin}${url.pathname}`;
+
+  // Client-side routes all load index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, BASE));
+  } else if (NETWORK_FIRST.includes(target)) {
+    event.respondWith(networkFirst(request));
+  } else if (STALE_WHILE_REVALIDATE_PREFIXES.some(prefix => target.startsWith(prefix))) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (CACHE_FIRST_PREFIXES.some(prefix => target.startsWith(prefix))) {
+    event.respondWith(cacheFirst(request));
+  }
+});
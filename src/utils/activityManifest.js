@@ -0,0 +1,122 @@
+// Runtime activity manifest: `activities.json` in the H5P content folder lists
+// the activities to show, so publishing a quiz needs no rebuild. Entries are
+// validated one by one; invalid entries are left out with the reasons, and a
+// missing or unreadable manifest falls back to the built-in list.
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const EMBED_TYPES = ['iframe', 'div'];
+
+export const MANIFEST_FILE = 'activities.json';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Field rules: [required, check, message]
+const FIELDS = {
+  slug: [true, value => typeof value === 'string' && SLUG_PATTERN.test(value), 'must be lowercase letters, digits and dashes'],
+  title: [true, value => typeof value === 'string' && value.trim() !== '', 'must be a non-empty string'],
+  summary: [false, value => typeof value === 'string', 'must be a string'],
+  thumbnail: [false, value => typeof value === 'string', 'must be a path relative to the activity folder'],
+  embedType: [false, value => EMBED_TYPES.includes(value), `must be one of ${EMBED_TYPES.join(', ')}`],
+  debug: [false, value => typeof value === 'boolean', 'must be true or false'],
+  sharedLibraries: [false, value => typeof value === 'boolean', 'must be true or false'],
+  version: [false, value => typeof value === 'string' && /^[0-9a-f]{6,64}$/.test(value), 'must be a content hash (set by the build)'],
+  tags: [false, value => Array.isArray(value) && value.every(tag => typeof tag === 'string'), 'must be a list of strings'],
+  order: [false, value => Number.isFinite(value), 'must be a number'],
+  visibleFrom: [false, isDate, 'must be an ISO 8601 date'],
+  visibleUntil: [false, isDate, 'must be an ISO 8601 date']
+};
+
+/**
+ * validateManifest - checks the activities of a manifest against the schema above
+ *
+ * Accepts `{ "activities": [...] }` or a bare list. Unknown fields are ignored.
+ *
+ * @param {*} manifest Parsed activities.json
+ * @returns {Object} { valid, errors, activities } where activities are the valid entries
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+  const report = (path, message) => errors.push(`${path}: ${message}`);
+  const entries = Array.isArray(manifest) ? manifest : manifest?.activities;
+
+  if (!Array.isArray(entries)) {
+    report('manifest', 'must be a list of activities or an object with an "activities" list');
+    return { valid: false, errors, activities: [] };
+  }
+
+  const slugs = new Set();
+  const activities = entries.filter((entry, index) => {
+    const path = `activities[${index}]`;
+    const before = errors.length;
+
+    if (!isPlainObject(entry)) {
+      report(path, 'must be an object');
+      return false;
+    }
+
+    Object.entries(FIELDS).forEach(([key, [required, check, message]]) => {
+      if (entry[key] === undefined) {
+        if (required) report(`${path}.${key}`, 'is required');
+      } else if (!check(entry[key])) {
+        report(`${path}.${key}`, message);
+      }
+    });
+
+    if (isDate(entry.visibleFrom) && isDate(entry.visibleUntil) && Date.parse(entry.visibleFrom) > Date.parse(entry.visibleUntil)) {
+      report(`${path}.visibleUntil`, 'must not be before visibleFrom');
+    }
+
+    if (slugs.has(entry.slug)) report(`${path}.slug`, `duplicate slug "${entry.slug}"`);
+    slugs.add(entry.slug);
+
+    return errors.length === before;
+  });
+
+  return { valid: errors.length === 0, errors, activities };
+}
+
+// Activities inside their visibility window, sorted by `order` (then manifest order)
+export function selectVisibleActivities(activities, now = Date.now()) {
+  return activities
+    .map((activity, index) => ({ activity, index }))
+    .filter(({ activity }) => (!activity.visibleFrom || Date.parse(activity.visibleFrom) <= now)
+      && (!activity.visibleUntil || Date.parse(activity.visibleUntil) > now))
+    .sort((a, b) => (a.activity.order ?? Infinity) - (b.activity.order ?? Infinity) || a.index - b.index)
+    .map(({ activity }) => activity);
+}
+
+/**
+ * loadActivityManifest - fetches and validates the manifest
+ *
+ * Never throws: a missing, unreadable or empty manifest resolves with the fallback list.
+ *
+ * @param {Object} options
+ * @param {string} options.contentBase Folder holding activities.json (H5P_CONTENT_BASE)
+ * @param {Object[]} options.fallback Activities to use when the manifest cannot be used
+ * @returns {Promise<Object>} { activities, source: 'manifest'|'fallback', errors }
+ */
+export async function loadActivityManifest({ contentBase, fallback }) {
+  const url = `${contentBase}/${MANIFEST_FILE}`;
+  let manifest;
+
+  try {
+    // The manifest changes without a deploy; always revalidate it
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`${url} responded with ${response.status}`);
+    manifest = await response.json();
+  } catch (error) {
+    console.warn('[activityManifest] Manifest unavailable, using the built-in activities:', error.message);
+    return { activities: selectVisibleActivities(fallback), source: 'fallback', errors: [error.message] };
+  }
+
+  const { errors, activities } = validateManifest(manifest);
+  if (errors.length) console.warn(`[activityManifest] ${errors.length} problem(s) in ${url}:`, errors);
+
+  if (activities.length === 0) {
+    console.warn('[activityManifest] No valid activities in the manifest, using the built-in activities');
+    return { activities: selectVisibleActivities(fallback), source: 'fallback', errors };
+  }
+
+  return { activities: selectVisibleActivities(activities), source: 'manifest', errors };
+}
@@ -1,6 +1,23 @@
 // Utilities to load H5P related assets only once
 let scriptPromises = new Map();
 
+// Why loading an activity failed; `type` picks the message shown to learners (see H5PPlayer)
+export const H5P_LOAD_ERRORS = {
+  CONTENT_MISSING: 'content-missing',
+  NETWORK: 'network',
+  PLAYER_UNAVAILABLE: 'player-unavailable',
+  CONTENT_INVALID: 'content-invalid'
+};
+
+export class H5PLoadError extends Error {
+  constructor(message, { type = H5P_LOAD_ERRORS.CONTENT_INVALID, cause } = {}) {
+    super(message, { cause });
+    this.name = 'H5PLoadError';
+    this.type = type;
+  }
+}
+
+// A failed script is forgotten (and its tag removed) so a later call can try again
 export function loadScriptOnce(src) {
   if (scriptPromises.has(src)) return scriptPromises.get(src);
   const p = new Promise((resolve, reject) => {
@@ -9,7 +26,11 @@ export function loadScriptOnce(src) {
     s.src = src;
     s.async = true;
     s.onload = () => resolve();
-    s.onerror = () => reject(new Error('Failed to load script ' + src));
+    s.onerror = () => {
+      scriptPromises.delete(src);
+      s.remove();
+      reject(new Error('Failed to load script ' + src));
+    };
     document.head.appendChild(s);
   });
   scriptPromises.set(src, p);
@@ -25,22 +46,120 @@ export function loadCssOnce(href) {
 }
 
 let h5pGlobalPromise;
+
+// Forget the cached player load, e.g. before retrying after it failed
+export function resetH5PGlobals() {
+  h5pGlobalPromise = null;
+}
+
 export async function ensureH5PGlobals({ playerBase, retryCount = 40, retryInterval = 200 }) {
   if (h5pGlobalPromise) return h5pGlobalPromise;
   h5pGlobalPromise = (async () => {
     const frameCss = `${playerBase}/styles/h5p.css`;
     const mainBundle = `${playerBase}/main.bundle.js`;
     loadCssOnce(frameCss);
-    await loadScriptOnce(mainBundle);
+    try {
+      await loadScriptOnce(mainBundle);
+    } catch (err) {
+      throw new H5PLoadError(err.message, { type: H5P_LOAD_ERRORS.PLAYER_UNAVAILABLE, cause: err });
+    }
     let tries = 0;
     while (!window.H5PStandalone && !window.H5P && tries < retryCount) {
       await new Promise(r => setTimeout(r, retryInterval));
       tries++;
     }
     if (!window.H5PStandalone && !window.H5P) {
-      throw new Error('H5P globals not available');
+      throw new H5PLoadError('H5P globals not available', { type: H5P_LOAD_ERRORS.PLAYER_UNAVAILABLE });
     }
     return { frameCss, frameBundle: `${playerBase}/frame.bundle.js` };
   })();
   return h5pGlobalPromise;
-}
\ No newline at end of file
+}
+
+// Activity metadata (library, question count, personalities, title screen image) read from h5p.json/content.json
+const activityMetaPromises = new Map();
+const activityMeta = new Map();
+
+export function getActivityMeta(h5pPath) {
+  return activityMeta.get(h5pPath);
+}
+
+// Title screen image of content types that have one (e.g. titleScreen.image in PersonalityQuiz)
+const getTitleImage = (h5pPath, content) => {
+  const path = content.titleScreen?.image?.file?.path;
+  if (typeof path !== 'string' || path === '') return null;
+  return {
+    src: /^[a-z][a-z0-9+.-]*:\/\//i.test(path) ? path : `${h5pPath}/content/${path.replace(/#tmp$/, '')}`,
+    alt: content.titleScreen.image.alt || ''
+  };
+};
+
+export function loadActivityMeta(h5pPath) {
+  if (activityMetaPromises.has(h5pPath)) return activityMetaPromises.get(h5pPath);
+  const p = (async () => {
+    try {
+      const [h5pJson, content] = await Promise.all([
+        fetch(`${h5pPath}/h5p.json`).then(r => (r.ok ? r.json() : {})),
+        fetch(`${h5pPath}/content/content.json`).then(r => (r.ok ? r.json() : {}))
+      ]);
+      // A pool size asks only part of the questions in each attempt
+      const questionCount = Array.isArray(content.questions) ? content.questions.length : null;
+      const meta = {
+        title: h5pJson.title || null,
+        mainLibrary: h5pJson.mainLibrary || null,
+        totalQuestions: questionCount && content.poolSize > 0
+          ? Math.min(Math.floor(content.poolSize), questionCount)
+          : questionCount,
+        personalities: Array.isArray(content.personalities) ? content.personalities.map(p => p.name) : [],
+        titleImage: getTitleImage(h5pPath, content)
+      };
+      activityMeta.set(h5pPath, meta);
+      return meta;
+    } catch (e) {
+      console.warn('[h5pLoader] Failed to load activity metadata for', h5pPath, e);
+      activityMetaPromises.delete(h5pPath);
+      return null;
+    }
+  })();
+  activityMetaPromises.set(h5pPath, p);
+  return p;
+}
+
+// Find the content instance rendered in a player container (iframe or div embed)
+export function getH5PInstance(container) {
+  if (!container) return null;
+  const iframe = container.querySelector('iframe.h5p-iframe');
+  const H5P = iframe ? iframe.contentWindow?.H5P : window.H5P;
+  const host = iframe || container.querySelector('[data-content-id]');
+  const contentId = host?.getAttribute('data-content-id');
+  if (!H5P?.instances || !contentId) return null;
+  return H5P.instances.find(instance => String(instance.contentId) === String(contentId)) || null;
+}
+
+// Tear down content rendered into `host`: destroy the instance, drop it from H5P.instances and
+// H5PIntegration, and remove the host. Removing the iframe unloads the frame window, which takes
+// the listeners the content registered there (and its forwarding to H5P.externalDispatcher) with it.
+export function destroyH5PContent(host) {
+  if (!host) return;
+  const iframe = host.querySelector('iframe.h5p-iframe');
+  const H5P = iframe ? iframe.contentWindow?.H5P : window.H5P;
+  const contentId = (iframe || host.querySelector('[data-content-id]'))?.getAttribute('data-content-id');
+  const instance = getH5PInstance(host);
+
+  if (instance) {
+    try {
+      if (typeof instance.destroy === 'function') instance.destroy();
+    } catch (e) {
+      console.warn('[h5pLoader] Content failed to destroy cleanly:', e);
+    }
+    // H5P core triggers 'resize' on the instance from a window handler it never removes (div embeds)
+    if (typeof instance.off === 'function') instance.off('resize');
+    const index = H5P.instances.indexOf(instance);
+    if (index !== -1) H5P.instances.splice(index, 1);
+  }
+
+  if (contentId && window.H5PIntegration?.contents) {
+    delete window.H5PIntegration.contents[`cid-${contentId}`];
+  }
+  host.remove();
+}
@@ -0,0 +1,263 @@
+// Background forwarding of stored xAPI records to a Learning Record Store.
+// Records stay in localStorage (see useXapiTracker) and carry a `sync` field
+// describing their delivery state, so nothing is lost across reloads.
+import { v4 as uuidv4 } from 'uuid';
+
+export const SYNC_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  REJECTED: 'rejected'
+};
+
+// Error raised by transports; `retryable` tells the queue whether to back off and retry
+export class LrsError extends Error {
+  constructor(message, { status = 0, retryable = true } = {}) {
+    super(message);
+    this.name = 'LrsError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Default transport: POSTs a batch of statements to an xAPI statements endpoint.
+ * Any object with an async `send(statements)` method can be used instead.
+ */
+export function createFetchTransport({ endpoint, auth = {}, version = '1.0.3' }) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Experience-API-Version': version
+  };
+  if (auth.user) {
+    headers.Authorization = 'Basic ' + btoa(`${auth.user}:${auth.password || ''}`);
+  }
+
+  return {
+    async send(statements) {
+      let response;
+      try {
+        response = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(statements) });
+      } catch (error) {
+        throw new LrsError(`Network error: ${error.message}`);
+      }
+      if (!response.ok) {
+        // 408/429 and server errors are transient; other 4xx mean the LRS refused the data
+        const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw new LrsError(`LRS responded with ${response.status}`, { status: response.status, retryable });
+      }
+    }
+  };
+}
+
+const readRecords = (storageKey) => {
+  try {
+    const stored = localStorage.getItem(storageKey);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn(`[lrsQueue] Failed to parse localStorage key "${storageKey}":`, error);
+    return [];
+  }
+};
+
+const writeRecords = (storageKey, records) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(records));
+    return true;
+  } catch (error) {
+    console.error(`[lrsQueue] Failed to store localStorage key "${storageKey}":`, error);
+    return false;
+  }
+};
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * createLrsQueue - drains stored xAPI records to an LRS in batches
+ *
+ * - Records without a `sync` field (or `pending`) are sent oldest first
+ * - Failed batches are retried with exponential backoff, and immediately
+ *   when the browser comes back online
+ * - Rejected statements (LRS answered 4xx) are isolated and not retried
+ * - Sent records are kept as a local history for `sentRetention` ms, and at
+ *   most `maxSentRecords` of them, so localStorage does not fill up
+ *
+ * @returns {Object} { start, stop, flush, scheduleFlush, getStatus }
+ */
+export function createLrsQueue({
+  transport,
+  storageKey = 'xapiRecords',
+  batchSize = 25,
+  retryBaseDelay = 5000,
+  retryMaxDelay = 5 * 60 * 1000,
+  pollInterval = 30000,
+  sentRetention = 7 * 24 * 60 * 60 * 1000,
+  maxSentRecords = 500,
+  debug = false
+}) {
+  let running = false;
+  let flushing = null;
+  let pollTimer = null;
+  let flushTimer = null;
+
+  const log = (...messages) => {
+    if (debug) console.log('[lrsQueue]', ...messages);
+  };
+
+  const isDue = (record, now, ignoreBackoff) => {
+    const sync = record.sync;
+    if (!sync || sync.status === SYNC_STATUS.PENDING) return true;
+    if (sync.status !== SYNC_STATUS.FAILED) return false;
+    return ignoreBackoff || !sync.nextAttemptAt || Date.parse(sync.nextAttemptAt) <= now;
+  };
+
+  // Statements need an id so that retries are idempotent and results can be matched back
+  const takeBatch = (ignoreBackoff) => {
+    const now = Date.now();
+    const records = readRecords(storageKey);
+    let changed = false;
+    const batch = [];
+
+    for (const record of records) {
+      if (batch.length >= batchSize) break;
+      if (!record.statement || !isDue(record, now, ignoreBackoff)) continue;
+      if (!record.statement.id) {
+        record.statement.id = uuidv4();
+        changed = true;
+      }
+      batch.push(record);
+    }
+
+    if (changed) writeRecords(storageKey, records);
+    return batch;
+  };
+
+  // Drops sent records past the retention window, then the oldest beyond maxSentRecords
+  const pruneSent = (records) => {
+    const cutoff = Date.now() - sentRetention;
+    const kept = records.filter(record => record.sync?.status !== SYNC_STATUS.SENT || Date.parse(record.sync.sentAt) >= cutoff);
+    let excess = kept.filter(record => record.sync?.status === SYNC_STATUS.SENT).length - maxSentRecords;
+    const pruned = kept.filter(record => record.sync?.status !== SYNC_STATUS.SENT || excess-- <= 0);
+
+    if (pruned.length < records.length) log(`Pruned ${records.length - pruned.length} sent record(s)`);
+    return pruned;
+  };
+
+  // Re-read storage before writing, new records may have been appended meanwhile
+  const updateSync = (ids, update, { prune = false } = {}) => {
+    const records = readRecords(storageKey);
+    records.forEach(record => {
+      if (record.statement && ids.includes(record.statement.id)) {
+        record.sync = update(record.sync || { status: SYNC_STATUS.PENDING, attempts: 0 });
+      }
+    });
+    writeRecords(storageKey, prune ? pruneSent(records) : records);
+  };
+
+  const markSent = (ids) => {
+    const sentAt = new Date().toISOString();
+    updateSync(ids, sync => ({ ...sync, status: SYNC_STATUS.SENT, attempts: sync.attempts + 1, sentAt, lastError: null, nextAttemptAt: null }), { prune: true });
+  };
+
+  const markFailed = (ids, error) => {
+    updateSync(ids, sync => {
+      const attempts = sync.attempts + 1;
+      if (!error.retryable) {
+        return { ...sync, status: SYNC_STATUS.REJECTED, attempts, lastError: error.message, nextAttemptAt: null };
+      }
+      const delay = Math.min(retryBaseDelay * 2 ** (attempts - 1), retryMaxDelay);
+      return {
+        ...sync,
+        status: SYNC_STATUS.FAILED,
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+      };
+    });
+  };
+
+  const sendBatch = async (records) => {
+    const ids = records.map(record => record.statement.id);
+    try {
+      await transport.send(records.map(record => record.statement));
+      markSent(ids);
+      log(`Sent ${ids.length} statement(s)`);
+      return true;
+    } catch (err) {
+      const error = err instanceof LrsError ? err : new LrsError(err?.message || String(err));
+      // One malformed statement rejects the whole batch: retry them one by one
+      if (!error.retryable && records.length > 1) {
+        log('Batch rejected, isolating statements:', error.message);
+        for (const record of records) {
+          await sendBatch([record]);
+        }
+        return true;
+      }
+      markFailed(ids, error);
+      console.warn(`[lrsQueue] Failed to send ${ids.length} statement(s):`, error.message);
+      return false;
+    }
+  };
+
+  const drain = async (ignoreBackoff) => {
+    while (running && isOnline()) {
+      const batch = takeBatch(ignoreBackoff);
+      if (batch.length === 0) return;
+      const ok = await sendBatch(batch);
+      if (!ok) return;
+    }
+  };
+
+  const flush = ({ ignoreBackoff = false } = {}) => {
+    if (!running) return Promise.resolve();
+    if (!flushing) {
+      flushing = drain(ignoreBackoff).finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  };
+
+  // Coalesce bursts of new statements into a single flush
+  const scheduleFlush = (delay = 1000) => {
+    if (!running || flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush();
+    }, delay);
+  };
+
+  const handleOnline = () => {
+    log('Browser back online, retrying failed statements');
+    flush({ ignoreBackoff: true });
+  };
+
+  const start = () => {
+    if (running) return;
+    running = true;
+    window.addEventListener('online', handleOnline);
+    pollTimer = setInterval(() => flush(), pollInterval);
+    log('Started');
+    flush();
+  };
+
+  const stop = () => {
+    running = false;
+    window.removeEventListener('online', handleOnline);
+    clearInterval(pollTimer);
+    clearTimeout(flushTimer);
+    pollTimer = null;
+    flushTimer = null;
+    log('Stopped');
+  };
+
+  const getStatus = () => {
+    const counts = { pending: 0, sent: 0, failed: 0, rejected: 0 };
+    readRecords(storageKey).forEach(record => {
+      counts[record.sync?.status || SYNC_STATUS.PENDING]++;
+    });
+    return { running, online: isOnline(), ...counts };
+  };
+
+  return { start, stop, flush, scheduleFlush, getStatus };
+}
@@ -0,0 +1,17 @@
+// Registers the service worker the build writes to dist/sw.js (see src/service-worker.js).
+// Only in production builds: the dev server has no sw.js, and cached files would hide edits.
+const BASE = import.meta.env.BASE_URL;
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      await navigator.serviceWorker.register(`${BASE}sw.js`, { scope: BASE });
+      // Ask the browser not to evict the cached quizzes and stored records under storage pressure
+      if (navigator.storage?.persist) await navigator.storage.persist();
+    } catch {
+      // Without it the app still works, just not offline
+    }
+  });
+}
@@ -0,0 +1,273 @@
+// Validation of xAPI statements against the xAPI 1.0.3 specification, applied
+// before statements are stored (and later forwarded to the LRS).
+// Only the rules that matter for the statements we collect are checked; the
+// goal is to keep malformed data out of the store, not to be a full conformance suite.
+import { v4 as uuidv4 } from 'uuid';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:[^\s]+$/i;
+const MBOX_PATTERN = /^mailto:[^@\s]+@[^@\s]+$/i;
+const SHA1_PATTERN = /^[0-9a-f]{40}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)$/;
+const DURATION_PATTERN = /^P(?!$)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/;
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,8}(-[a-z0-9]{1,8})*$/i;
+
+export const INTERACTION_TYPES = [
+  'true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance',
+  'sequencing', 'likert', 'numeric', 'other'
+];
+
+const CONTEXT_ACTIVITY_KEYS = ['parent', 'grouping', 'category', 'other'];
+
+export const isUUID = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+export const isIRI = (value) => typeof value === 'string' && IRI_PATTERN.test(value);
+export const isDuration = (value) => typeof value === 'string' && DURATION_PATTERN.test(value);
+export const isTimestamp = (value) =>
+  typeof value === 'string' && TIMESTAMP_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Collects "path: message" errors while walking the statement
+const createReporter = () => {
+  const errors = [];
+  const report = (path, message) => errors.push(`${path}: ${message}`);
+  return { errors, report };
+};
+
+const checkLanguageMap = (map, path, report) => {
+  if (!isPlainObject(map)) return report(path, 'must be a language map object');
+  Object.entries(map).forEach(([tag, text]) => {
+    if (!LANGUAGE_TAG_PATTERN.test(tag)) report(`${path}.${tag}`, 'invalid language tag');
+    if (typeof text !== 'string') report(`${path}.${tag}`, 'must be a string');
+  });
+};
+
+const checkExtensions = (extensions, path, report) => {
+  if (!isPlainObject(extensions)) return report(path, 'must be an object');
+  Object.keys(extensions).forEach(key => {
+    if (!isIRI(key)) report(path, `extension key "${key}" is not an IRI`);
+  });
+};
+
+// Agents must have exactly one inverse functional identifier
+const checkAgent = (agent, path, report, { identified = true } = {}) => {
+  if (!isPlainObject(agent)) return report(path, 'must be an object');
+
+  const ifis = ['mbox', 'mbox_sha1sum', 'openid', 'account'].filter(key => agent[key] !== undefined);
+  if (identified && ifis.length !== 1) {
+    report(path, `must have exactly one identifier (mbox, mbox_sha1sum, openid or account), found ${ifis.length}`);
+  }
+  if (!identified && ifis.length > 1) report(path, 'must not have more than one identifier');
+
+  if (agent.mbox !== undefined && !MBOX_PATTERN.test(agent.mbox)) report(`${path}.mbox`, 'must be a mailto: IRI');
+  if (agent.mbox_sha1sum !== undefined && !SHA1_PATTERN.test(agent.mbox_sha1sum)) {
+    report(`${path}.mbox_sha1sum`, 'must be a hex encoded SHA1 hash');
+  }
+  if (agent.openid !== undefined && !isIRI(agent.openid)) report(`${path}.openid`, 'must be an IRI');
+  if (agent.account !== undefined) {
+    if (!isPlainObject(agent.account)) {
+      report(`${path}.account`, 'must be an object');
+    } else {
+      if (!isIRI(agent.account.homePage)) report(`${path}.account.homePage`, 'must be an IRL');
+      if (typeof agent.account.name !== 'string' || !agent.account.name) report(`${path}.account.name`, 'is required');
+    }
+  }
+  if (agent.name !== undefined && typeof agent.name !== 'string') report(`${path}.name`, 'must be a string');
+};
+
+const checkActor = (actor, path, report) => {
+  if (!isPlainObject(actor)) return report(path, 'is required');
+  const objectType = actor.objectType || 'Agent';
+
+  if (objectType === 'Agent') return checkAgent(actor, path, report);
+  if (objectType !== 'Group') return report(`${path}.objectType`, 'must be "Agent" or "Group"');
+
+  // Anonymous groups need members, identified groups may have them
+  const anonymous = !['mbox', 'mbox_sha1sum', 'openid', 'account'].some(key => actor[key] !== undefined);
+  if (anonymous && (!Array.isArray(actor.member) || actor.member.length === 0)) {
+    report(`${path}.member`, 'is required for anonymous groups');
+  }
+  checkAgent(actor, path, report, { identified: !anonymous });
+  if (Array.isArray(actor.member)) {
+    actor.member.forEach((member, index) => checkAgent(member, `${path}.member[${index}]`, report));
+  }
+};
+
+const checkVerb = (verb, path, report) => {
+  if (!isPlainObject(verb)) return report(path, 'is required');
+  if (!isIRI(verb.id)) report(`${path}.id`, 'must be an IRI');
+  if (verb.display !== undefined) checkLanguageMap(verb.display, `${path}.display`, report);
+};
+
+const checkInteractionComponents = (components, path, report) => {
+  if (!Array.isArray(components)) return report(path, 'must be an array');
+  const ids = new Set();
+  components.forEach((component, index) => {
+    if (!isPlainObject(component) || typeof component.id !== 'string' || !component.id) {
+      return report(`${path}[${index}].id`, 'is required');
+    }
+    if (ids.has(component.id)) report(`${path}[${index}].id`, `duplicate id "${component.id}"`);
+    ids.add(component.id);
+    if (component.description !== undefined) {
+      checkLanguageMap(component.description, `${path}[${index}].description`, report);
+    }
+  });
+};
+
+const checkActivityDefinition = (definition, path, report) => {
+  if (!isPlainObject(definition)) return report(path, 'must be an object');
+  if (definition.name !== undefined) checkLanguageMap(definition.name, `${path}.name`, report);
+  if (definition.description !== undefined) checkLanguageMap(definition.description, `${path}.description`, report);
+  if (definition.type !== undefined && !isIRI(definition.type)) report(`${path}.type`, 'must be an IRI');
+  if (definition.moreInfo !== undefined && !isIRI(definition.moreInfo)) report(`${path}.moreInfo`, 'must be an IRL');
+  if (definition.extensions !== undefined) checkExtensions(definition.extensions, `${path}.extensions`, report);
+
+  if (definition.interactionType !== undefined && !INTERACTION_TYPES.includes(definition.interactionType)) {
+    report(`${path}.interactionType`, `must be one of ${INTERACTION_TYPES.join(', ')}`);
+  }
+  ['choices', 'scale', 'source', 'target', 'steps'].forEach(key => {
+    if (definition[key] === undefined) return;
+    if (definition.interactionType === undefined) report(`${path}.${key}`, 'requires interactionType');
+    checkInteractionComponents(definition[key], `${path}.${key}`, report);
+  });
+};
+
+const checkObject = (object, path, report, { allowSubStatement = true } = {}) => {
+  if (!isPlainObject(object)) return report(path, 'is required');
+  const objectType = object.objectType || 'Activity';
+
+  switch (objectType) {
+    case 'Activity':
+      if (!isIRI(object.id)) report(`${path}.id`, 'must be an IRI');
+      if (object.definition !== undefined) checkActivityDefinition(object.definition, `${path}.definition`, report);
+      break;
+    case 'Agent':
+    case 'Group':
+      checkActor(object, path, report);
+      break;
+    case 'StatementRef':
+      if (!isUUID(object.id)) report(`${path}.id`, 'must be a UUID');
+      break;
+    case 'SubStatement':
+      if (!allowSubStatement) return report(`${path}.objectType`, 'SubStatements must not be nested');
+      ['id', 'stored', 'version', 'authority'].forEach(key => {
+        if (object[key] !== undefined) report(`${path}.${key}`, 'is not allowed in a SubStatement');
+      });
+      checkActor(object.actor, `${path}.actor`, report);
+      checkVerb(object.verb, `${path}.verb`, report);
+      checkObject(object.object, `${path}.object`, report, { allowSubStatement: false });
+      break;
+    default:
+      report(`${path}.objectType`, `unknown objectType "${objectType}"`);
+  }
+};
+
+const checkResult = (result, path, report) => {
+  if (!isPlainObject(result)) return report(path, 'must be an object');
+
+  const { score } = result;
+  if (score !== undefined) {
+    if (!isPlainObject(score)) {
+      report(`${path}.score`, 'must be an object');
+    } else {
+      const { scaled, raw, min, max } = score;
+      ['scaled', 'raw', 'min', 'max'].forEach(key => {
+        if (score[key] !== undefined && (typeof score[key] !== 'number' || !Number.isFinite(score[key]))) {
+          report(`${path}.score.${key}`, 'must be a number');
+        }
+      });
+      if (typeof scaled === 'number' && (scaled < -1 || scaled > 1)) report(`${path}.score.scaled`, 'must be between -1 and 1');
+      if (typeof min === 'number' && typeof max === 'number' && min >= max) report(`${path}.score.min`, 'must be less than max');
+      if (typeof raw === 'number') {
+        if (typeof min === 'number' && raw < min) report(`${path}.score.raw`, 'must not be less than min');
+        if (typeof max === 'number' && raw > max) report(`${path}.score.raw`, 'must not be greater than max');
+      }
+    }
+  }
+
+  ['success', 'completion'].forEach(key => {
+    if (result[key] !== undefined && typeof result[key] !== 'boolean') report(`${path}.${key}`, 'must be a boolean');
+  });
+  if (result.response !== undefined && typeof result.response !== 'string') report(`${path}.response`, 'must be a string');
+  if (result.duration !== undefined && !isDuration(result.duration)) report(`${path}.duration`, 'must be an ISO 8601 duration');
+  if (result.extensions !== undefined) checkExtensions(result.extensions, `${path}.extensions`, report);
+};
+
+const checkContext = (context, path, report) => {
+  if (!isPlainObject(context)) return report(path, 'must be an object');
+  if (context.registration !== undefined && !isUUID(context.registration)) report(`${path}.registration`, 'must be a UUID');
+  if (context.instructor !== undefined) checkActor(context.instructor, `${path}.instructor`, report);
+  if (context.team !== undefined && context.team.objectType !== 'Group') report(`${path}.team`, 'must be a Group');
+  if (context.language !== undefined && !LANGUAGE_TAG_PATTERN.test(context.language)) report(`${path}.language`, 'invalid language tag');
+  if (context.statement !== undefined) checkObject(context.statement, `${path}.statement`, report);
+  if (context.extensions !== undefined) checkExtensions(context.extensions, `${path}.extensions`, report);
+
+  if (context.contextActivities !== undefined) {
+    if (!isPlainObject(context.contextActivities)) {
+      report(`${path}.contextActivities`, 'must be an object');
+    } else {
+      Object.entries(context.contextActivities).forEach(([key, value]) => {
+        const activityPath = `${path}.contextActivities.${key}`;
+        if (!CONTEXT_ACTIVITY_KEYS.includes(key)) return report(activityPath, 'unknown context activity key');
+        (Array.isArray(value) ? value : [value]).forEach((activity, index) => {
+          checkObject({ objectType: 'Activity', ...activity }, `${activityPath}[${index}]`, report);
+        });
+      });
+    }
+  }
+};
+
+/**
+ * Fills in the properties an LRS would otherwise assign, without touching the original.
+ *
+ * @param {Object} statement
+ * @param {Object} [defaults]
+ * @param {string} [defaults.homePage] Used for account actors without a homePage (h5p-standalone has no siteUrl)
+ * @returns {Object} A normalized copy of the statement
+ */
+export function normalizeStatement(statement, { homePage } = {}) {
+  const normalized = JSON.parse(JSON.stringify(statement));
+
+  if (normalized.id === undefined) normalized.id = uuidv4();
+  if (normalized.timestamp === undefined) normalized.timestamp = new Date().toISOString();
+  if (homePage && isPlainObject(normalized.actor?.account) && !normalized.actor.account.homePage) {
+    normalized.actor.account.homePage = homePage;
+  }
+
+  return normalized;
+}
+
+/**
+ * validateStatement - checks a statement against the xAPI 1.0.3 rules above
+ *
+ * @param {Object} statement
+ * @param {Object} [defaults] Passed to normalizeStatement
+ * @returns {Object} { valid, errors, statement } where statement is the normalized copy
+ */
+export function validateStatement(statement, defaults = {}) {
+  const { errors, report } = createReporter();
+
+  if (!isPlainObject(statement)) {
+    report('statement', 'must be an object');
+    return { valid: false, errors, statement };
+  }
+
+  const normalized = normalizeStatement(statement, defaults);
+
+  if (!isUUID(normalized.id)) report('statement.id', 'must be a UUID');
+  if (!isTimestamp(normalized.timestamp)) report('statement.timestamp', 'must be an ISO 8601 timestamp');
+  checkActor(normalized.actor, 'statement.actor', report);
+  checkVerb(normalized.verb, 'statement.verb', report);
+  checkObject(normalized.object, 'statement.object', report);
+  if (normalized.result !== undefined) checkResult(normalized.result, 'statement.result', report);
+  if (normalized.context !== undefined) {
+    checkContext(normalized.context, 'statement.context', report);
+    // revision and platform only apply when the object is an Activity
+    const objectType = normalized.object?.objectType || 'Activity';
+    if (objectType !== 'Activity' && (normalized.context.revision !== undefined || normalized.context.platform !== undefined)) {
+      report('statement.context', 'revision and platform are only allowed for Activity objects');
+    }
+  }
+
+  return { valid: errors.length === 0, errors, statement: normalized };
+}
@@ -0,0 +1,251 @@
+// Tests for scripts/import-h5p.cjs. Archives are imported into a temporary content folder
+// (H5P_CONTENT_DIR), never into public/h5p/.
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, after } = require('node:test');
+const fs = require('fs-extra');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-h5p-'));
+const contentDir = path.join(workDir, 'h5p');
+process.env.H5P_CONTENT_DIR = contentDir;
+
+const { classifyEntries, installLibraries } = require('../scripts/import-h5p.cjs');
+const { readZip } = require('../scripts/zip-reader.cjs');
+const { createZip } = require('./helpers/zip.cjs');
+
+const importer = path.join(__dirname, '..', 'scripts', 'import-h5p.cjs');
+const fixture = path.join(__dirname, 'fixtures', 'tiny-quiz.h5p');
+const sharedLibrariesDir = path.join(contentDir, 'libraries');
+
+const importH5P = (...args) => spawnSync(process.execPath, [importer, ...args], {
+  env: { ...process.env, H5P_CONTENT_DIR: contentDir },
+  encoding: 'utf8'
+});
+
+const readManifest = () => fs.readJsonSync(path.join(contentDir, 'activities.json'));
+
+// The fixture with files replaced, added or (with null) removed, written next to the content folder
+function fixtureVariant(name, changes) {
+  const files = readZip(fs.readFileSync(fixture))
+    .filter(entry => !entry.directory)
+    .map(entry => ({ name: entry.name, data: entry.read() }));
+
+  Object.entries(changes).forEach(([file, data]) => {
+    const index = files.findIndex(entry => entry.name === file);
+    if (index !== -1) files.splice(index, 1);
+    if (data !== null) files.push({ name: file, data });
+  });
+
+  const archive = path.join(workDir, name);
+  fs.writeFileSync(archive, createZip(files));
+  return archive;
+}
+
+const tinyLibrary = (patchVersion) => JSON.stringify({
+  title: 'Tiny',
+  machineName: 'H5P.Tiny',
+  majorVersion: 1,
+  minorVersion: 0,
+  patchVersion,
+  preloadedJs: [{ path: 'tiny.js' }],
+  preloadedCss: [{ path: 'tiny.css' }]
+});
+
+beforeEach(() => {
+  fs.emptyDirSync(contentDir);
+});
+
+after(() => {
+  fs.removeSync(workDir);
+});
+
+describe('import-h5p', () => {
+  it('unpacks the content into the slug folder and the libraries into the shared folder', () => {
+    const result = importH5P(fixture);
+    assert.equal(result.status, 0, result.stderr);
+
+    const packageDir = path.join(contentDir, 'tiny-quiz');
+    assert.deepEqual(fs.readdirSync(packageDir).sort(), ['content', 'h5p.json']);
+    assert.ok(fs.existsSync(path.join(packageDir, 'content', 'content.json')));
+    assert.ok(fs.existsSync(path.join(packageDir, 'content', 'images', 'dot.png')));
+    assert.deepEqual(fs.readdirSync(path.join(sharedLibrariesDir, 'H5P.Tiny-1.0')).sort(), ['library.json', 'tiny.css', 'tiny.js']);
+  });
+
+  it('adds the activity to activities.json', () => {
+    const result = importH5P(fixture, '--slug=tiny', '--title=Tiny', '--summary=A one question quiz');
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.deepEqual(readManifest(), {
+      activities: [{ slug: 'tiny', title: 'Tiny', sharedLibraries: true, summary: 'A one question quiz' }]
+    });
+  });
+
+  it('keeps the activities already in activities.json and takes the title from h5p.json', () => {
+    fs.outputJsonSync(path.join(contentDir, 'activities.json'), { activities: [{ slug: 'elsewhere', title: 'Elsewhere', order: 2 }] });
+
+    const result = importH5P(fixture);
+    assert.equal(result.status, 0, result.stderr);
+
+    assert.deepEqual(readManifest().activities, [
+      { slug: 'elsewhere', title: 'Elsewhere', order: 2 },
+      { slug: 'tiny-quiz', title: 'Tiny Quiz', sharedLibraries: true }
+    ]);
+  });
+
+  it('stores a library used by two imported activities once', () => {
+    assert.equal(importH5P(fixture, '--slug=first').status, 0);
+    const second = importH5P(fixture, '--slug=second');
+    assert.equal(second.status, 0, second.stderr);
+
+    assert.match(second.stdout, /H5P\.Tiny-1\.0 already installed/);
+    assert.deepEqual(fs.readdirSync(sharedLibrariesDir), ['H5P.Tiny-1.0']);
+    assert.ok(!fs.existsSync(path.join(contentDir, 'second', 'H5P.Tiny-1.0')));
+    assert.deepEqual(readManifest().activities.map(activity => [activity.slug, activity.sharedLibraries]), [['first', true], ['second', true]]);
+  });
+
+  it('replaces a shared library with a newer patch only', () => {
+    const newer = fixtureVariant('newer.h5p', {
+      'H5P.Tiny-1.0/library.json': tinyLibrary(1),
+      'H5P.Tiny-1.0/tiny.js': 'H5P.Tiny = function () {};\n'
+    });
+    const tinyJs = () => fs.readFileSync(path.join(sharedLibrariesDir, 'H5P.Tiny-1.0', 'tiny.js'), 'utf8');
+
+    assert.equal(importH5P(fixture, '--slug=first').status, 0);
+    assert.equal(importH5P(newer, '--slug=newer').status, 0);
+    assert.equal(tinyJs(), 'H5P.Tiny = function () {};\n');
+
+    assert.equal(importH5P(fixture, '--slug=older').status, 0);
+    assert.equal(tinyJs(), 'H5P.Tiny = function () {};\n');
+  });
+
+  it('rejects an archive with a .php file', () => {
+    const archive = fixtureVariant('php.h5p', { 'content/shell.php': '<?php system($_GET["c"]);' });
+
+    const result = importH5P(archive);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /contains files that are not allowed/);
+    assert.match(result.stderr, /content\/shell\.php: \.php files are not allowed in content/);
+    assert.deepEqual(fs.readdirSync(contentDir), []);
+  });
+
+  it('rejects scripts in content/', () => {
+    const archive = fixtureVariant('script.h5p', { 'content/tracker.js': 'alert(1);' });
+
+    const result = importH5P(archive);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /content\/tracker\.js: \.js files are not allowed in content/);
+    assert.deepEqual(fs.readdirSync(contentDir), []);
+  });
+
+  it('rejects a package that does not pass the scan-h5p checks and installs nothing', () => {
+    const archive = fixtureVariant('broken.h5p', { 'H5P.Tiny-1.0/tiny.js': null });
+
+    const result = importH5P(archive);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /library H5P\.Tiny-1\.0: tiny\.js missing/);
+    assert.deepEqual(fs.readdirSync(contentDir), []);
+  });
+
+  it('refuses to replace an existing activity without --force', () => {
+    assert.equal(importH5P(fixture).status, 0);
+    const contentFile = path.join(contentDir, 'tiny-quiz', 'content', 'content.json');
+    fs.writeJsonSync(contentFile, { question: 'Edited' });
+
+    const refused = importH5P(fixture);
+    assert.equal(refused.status, 1);
+    assert.match(refused.stderr, /already exists, use --force to replace it/);
+    assert.deepEqual(fs.readJsonSync(contentFile), { question: 'Edited' });
+
+    const forced = importH5P(fixture, '--force');
+    assert.equal(forced.status, 0, forced.stderr);
+    assert.equal(fs.readJsonSync(contentFile).question, 'Ready?');
+    assert.equal(readManifest().activities.length, 1);
+  });
+});
+
+describe('classifyEntries', () => {
+  const entries = (...names) => names.map(name => ({ name, directory: name.endsWith('/') }));
+  const kinds = ({ files }) => files.map(({ entry, kind, library }) => [entry.name, kind, library]);
+
+  it('sorts h5p.json, content and library files', () => {
+    const result = classifyEntries(entries('h5p.json', 'content/', 'content/content.json', 'content/images/a.png', 'H5P.Tiny-1.0/tiny.js', 'H5P.Tiny-1.0/tiny.css'));
+
+    assert.deepEqual(result.rejected, []);
+    assert.deepEqual(kinds(result), [
+      ['h5p.json', 'h5p', undefined],
+      ['content/content.json', 'content', undefined],
+      ['content/images/a.png', 'content', undefined],
+      ['H5P.Tiny-1.0/tiny.js', 'library', 'H5P.Tiny-1.0'],
+      ['H5P.Tiny-1.0/tiny.css', 'library', 'H5P.Tiny-1.0']
+    ]);
+  });
+
+  it('skips hidden files and macOS metadata', () => {
+    const result = classifyEntries(entries('h5p.json', '.DS_Store', 'content/.hidden.json', '__MACOSX/content/._content.json'));
+
+    assert.deepEqual(result.rejected, []);
+    assert.deepEqual(kinds(result), [['h5p.json', 'h5p', undefined]]);
+  });
+
+  it('rejects unsafe paths', () => {
+    const { files, rejected } = classifyEntries(entries('content/../../evil.json', '/etc/passwd.txt', 'content\\images\\a.png'));
+
+    assert.deepEqual(files, []);
+    assert.deepEqual(rejected, [
+      'content/../../evil.json: unsafe path',
+      '/etc/passwd.txt: unsafe path',
+      'content\\images\\a.png: unsafe path'
+    ]);
+  });
+
+  it('rejects file types H5P does not allow and files outside a package', () => {
+    const { files, rejected } = classifyEntries(entries('content/run.php', 'content/readme', 'H5P.Tiny-1.0/setup.exe', 'scripts/build.js'));
+
+    assert.deepEqual(files, []);
+    assert.deepEqual(rejected, [
+      'content/run.php: .php files are not allowed in content',
+      'content/readme: .(none) files are not allowed in content',
+      'H5P.Tiny-1.0/setup.exe: .exe files are not allowed in libraries',
+      'scripts/build.js: not part of an H5P package'
+    ]);
+  });
+});
+
+describe('installLibraries', () => {
+  const stagingDir = path.join(workDir, 'staging');
+
+  const stage = (patchVersion, script) => {
+    fs.emptyDirSync(stagingDir);
+    fs.outputFileSync(path.join(stagingDir, 'H5P.Tiny-1.0', 'library.json'), tinyLibrary(patchVersion));
+    fs.outputFileSync(path.join(stagingDir, 'H5P.Tiny-1.0', 'tiny.js'), script);
+  };
+  const installedScript = () => fs.readFileSync(path.join(sharedLibrariesDir, 'H5P.Tiny-1.0', 'tiny.js'), 'utf8');
+
+  it('installs libraries that are not in the shared folder yet', () => {
+    stage(0, 'first');
+    assert.deepEqual(installLibraries(stagingDir, ['H5P.Tiny-1.0']), ['H5P.Tiny-1.0']);
+    assert.equal(installedScript(), 'first');
+  });
+
+  it('keeps an installed library with the same or a newer patch', () => {
+    stage(2, 'installed');
+    installLibraries(stagingDir, ['H5P.Tiny-1.0']);
+
+    stage(2, 'same patch');
+    assert.deepEqual(installLibraries(stagingDir, ['H5P.Tiny-1.0']), []);
+    stage(1, 'older patch');
+    assert.deepEqual(installLibraries(stagingDir, ['H5P.Tiny-1.0']), []);
+    assert.equal(installedScript(), 'installed');
+  });
+
+  it('replaces an installed library with a newer patch', () => {
+    stage(0, 'old');
+    installLibraries(stagingDir, ['H5P.Tiny-1.0']);
+
+    stage(1, 'new');
+    assert.deepEqual(installLibraries(stagingDir, ['H5P.Tiny-1.0']), ['H5P.Tiny-1.0']);
+    assert.equal(installedScript(), 'new');
+  });
+});
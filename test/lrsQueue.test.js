@@ -0,0 +1,262 @@
+// Tests for src/utils/lrsQueue.js, with in-memory stand-ins for localStorage, window and navigator
+import assert from 'node:assert/strict';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+
+import { SYNC_STATUS, LrsError, createFetchTransport, createLrsQueue } from '../src/utils/lrsQueue.js';
+
+const STORAGE_KEY = 'xapiRecords';
+const store = new Map();
+
+globalThis.localStorage = {
+  getItem: key => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value))
+};
+globalThis.window = new EventTarget();
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true, writable: true });
+
+const storeRecords = (records) => localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+const storedRecords = () => JSON.parse(localStorage.getItem(STORAGE_KEY));
+const statementRecords = (...ids) => ids.map(id => ({ statement: { id, verb: { id: 'http://adlnet.gov/expapi/verbs/answered' } } }));
+
+// Transport that records the ids of every batch and answers with the given function
+const recordingTransport = (respond = () => {}) => {
+  const batches = [];
+  return {
+    batches,
+    async send(statements) {
+      batches.push(statements.map(statement => statement.id));
+      return respond(statements, batches.length);
+    }
+  };
+};
+
+describe('createLrsQueue', () => {
+  let queue;
+
+  const startQueue = (transport, options) => {
+    queue = createLrsQueue({ transport, pollInterval: 60 * 60 * 1000, ...options });
+    queue.start();
+    return queue;
+  };
+
+  beforeEach(() => {
+    store.clear();
+    navigator.onLine = true;
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    queue?.stop();
+    mock.restoreAll();
+  });
+
+  it('moves records from pending to sent', async () => {
+    storeRecords(statementRecords('a', 'b'));
+    const transport = recordingTransport();
+    startQueue(transport);
+
+    assert.deepEqual(queue.getStatus(), { running: true, online: true, pending: 2, sent: 0, failed: 0, rejected: 0 });
+    await queue.flush();
+
+    assert.deepEqual(transport.batches, [['a', 'b']]);
+    storedRecords().forEach(({ sync }) => {
+      assert.equal(sync.status, SYNC_STATUS.SENT);
+      assert.equal(sync.attempts, 1);
+      assert.ok(Date.parse(sync.sentAt) <= Date.now());
+      assert.equal(sync.lastError, null);
+    });
+    assert.equal(queue.getStatus().sent, 2);
+
+    await queue.flush();
+    assert.equal(transport.batches.length, 1, 'sent records are not sent again');
+  });
+
+  it('sends in batches, gives statements without an id one and keeps records stored meanwhile', async () => {
+    storeRecords([...statementRecords('a', 'b', 'c'), { statement: { verb: { id: 'http://adlnet.gov/expapi/verbs/completed' } } }]);
+    const transport = recordingTransport((statements, call) => {
+      if (call === 1) storeRecords([...storedRecords(), ...statementRecords('late')]);
+    });
+    startQueue(transport, { batchSize: 2 });
+    await queue.flush();
+
+    const records = storedRecords();
+    assert.equal(records.length, 5);
+    assert.ok(records[3].statement.id, 'a missing id is filled in');
+    assert.deepEqual(transport.batches, [['a', 'b'], ['c', records[3].statement.id], ['late']]);
+    assert.ok(records.every(({ sync }) => sync.status === SYNC_STATUS.SENT));
+  });
+
+  it('backs off exponentially after a failure, up to retryMaxDelay', async () => {
+    storeRecords(statementRecords('a'));
+    const transport = recordingTransport(() => {
+      throw new LrsError('LRS responded with 503', { status: 503 });
+    });
+    startQueue(transport, { retryBaseDelay: 1000, retryMaxDelay: 1500 });
+
+    const before = Date.now();
+    await queue.flush();
+    let [{ sync }] = storedRecords();
+    assert.equal(sync.status, SYNC_STATUS.FAILED);
+    assert.equal(sync.attempts, 1);
+    assert.equal(sync.lastError, 'LRS responded with 503');
+    assert.ok(Date.parse(sync.nextAttemptAt) >= before + 1000);
+    assert.ok(Date.parse(sync.nextAttemptAt) <= Date.now() + 1000);
+
+    await queue.flush();
+    assert.equal(transport.batches.length, 1, 'not retried before nextAttemptAt');
+
+    await queue.flush({ ignoreBackoff: true });
+    [{ sync }] = storedRecords();
+    assert.equal(transport.batches.length, 2);
+    assert.equal(sync.attempts, 2);
+    // 2000ms doubled from the base delay, capped at 1500ms
+    assert.ok(Date.parse(sync.nextAttemptAt) <= Date.now() + 1500);
+    assert.deepEqual(queue.getStatus(), { running: true, online: true, pending: 0, sent: 0, failed: 1, rejected: 0 });
+  });
+
+  it('treats errors that are not LrsErrors as retryable', async () => {
+    storeRecords(statementRecords('a'));
+    startQueue(recordingTransport(() => {
+      throw new TypeError('Failed to fetch');
+    }));
+    await queue.flush();
+
+    const [{ sync }] = storedRecords();
+    assert.equal(sync.status, SYNC_STATUS.FAILED);
+    assert.equal(sync.lastError, 'Failed to fetch');
+  });
+
+  it('isolates the statements of a batch the LRS rejects and does not retry the rejected one', async () => {
+    storeRecords(statementRecords('a', 'bad', 'c'));
+    const transport = recordingTransport((statements) => {
+      if (statements.some(statement => statement.id === 'bad')) {
+        throw new LrsError('LRS responded with 400', { status: 400, retryable: false });
+      }
+    });
+    startQueue(transport);
+    await queue.flush();
+
+    assert.deepEqual(transport.batches, [['a', 'bad', 'c'], ['a'], ['bad'], ['c']]);
+    assert.deepEqual(storedRecords().map(({ statement, sync }) => [statement.id, sync.status, sync.attempts]), [
+      ['a', SYNC_STATUS.SENT, 1],
+      ['bad', SYNC_STATUS.REJECTED, 1],
+      ['c', SYNC_STATUS.SENT, 1]
+    ]);
+    assert.equal(storedRecords()[1].sync.nextAttemptAt, null);
+
+    await queue.flush({ ignoreBackoff: true });
+    assert.equal(transport.batches.length, 4, 'rejected statements are not retried');
+    assert.equal(queue.getStatus().rejected, 1);
+  });
+
+  it('waits while offline and retries right away when the browser comes back online', async () => {
+    storeRecords(statementRecords('a'));
+    let reachable = false;
+    const transport = recordingTransport(() => {
+      if (!reachable) throw new LrsError('Network error: Failed to fetch');
+    });
+    startQueue(transport, { retryBaseDelay: 60 * 1000 });
+    await queue.flush();
+    assert.equal(storedRecords()[0].sync.status, SYNC_STATUS.FAILED);
+
+    navigator.onLine = false;
+    await queue.flush({ ignoreBackoff: true });
+    assert.equal(transport.batches.length, 1, 'nothing is sent while offline');
+    assert.equal(queue.getStatus().online, false);
+
+    navigator.onLine = true;
+    reachable = true;
+    window.dispatchEvent(new Event('online'));
+    await queue.flush();
+
+    assert.equal(transport.batches.length, 2);
+    assert.equal(storedRecords()[0].sync.status, SYNC_STATUS.SENT);
+    assert.equal(storedRecords()[0].sync.attempts, 2);
+  });
+
+  it('drops sent records once they are older than sentRetention', async () => {
+    const sentAt = (hoursAgo) => new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString();
+    storeRecords([
+      { statement: { id: 'old' }, sync: { status: SYNC_STATUS.SENT, attempts: 1, sentAt: sentAt(48) } },
+      { statement: { id: 'recent' }, sync: { status: SYNC_STATUS.SENT, attempts: 1, sentAt: sentAt(1) } },
+      { statement: { id: 'refused' }, sync: { status: SYNC_STATUS.REJECTED, attempts: 1 } },
+      ...statementRecords('new')
+    ]);
+    startQueue(recordingTransport(), { sentRetention: 24 * 60 * 60 * 1000 });
+    await queue.flush();
+
+    assert.deepEqual(storedRecords().map(({ statement, sync }) => [statement.id, sync.status]), [
+      ['recent', SYNC_STATUS.SENT],
+      ['refused', SYNC_STATUS.REJECTED],
+      ['new', SYNC_STATUS.SENT]
+    ]);
+  });
+
+  it('keeps at most maxSentRecords sent records, dropping the oldest', async () => {
+    storeRecords([{ statement: { id: 'refused' }, sync: { status: SYNC_STATUS.REJECTED, attempts: 1 } }, ...statementRecords('a', 'b', 'c', 'd')]);
+    const transport = recordingTransport();
+    startQueue(transport, { batchSize: 1, maxSentRecords: 2 });
+    await queue.flush();
+
+    assert.equal(transport.batches.length, 4);
+    assert.deepEqual(storedRecords().map(({ statement, sync }) => [statement.id, sync.status]), [
+      ['refused', SYNC_STATUS.REJECTED],
+      ['c', SYNC_STATUS.SENT],
+      ['d', SYNC_STATUS.SENT]
+    ]);
+  });
+
+  it('stops listening and sending once stopped', async () => {
+    const transport = recordingTransport();
+    startQueue(transport);
+    queue.stop();
+    storeRecords(statementRecords('a'));
+
+    window.dispatchEvent(new Event('online'));
+    await queue.flush();
+    assert.equal(transport.batches.length, 0);
+    assert.equal(queue.getStatus().running, false);
+  });
+});
+
+describe('createFetchTransport', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const sendWith = (response) => {
+    const fetch = mock.method(globalThis, 'fetch', async () => {
+      if (response instanceof Error) throw response;
+      return response;
+    });
+    const transport = createFetchTransport({ endpoint: 'https://lrs.example/xapi/statements', auth: { user: 'key', password: 'secret' } });
+    return { fetch, sent: transport.send([{ id: 'a' }]) };
+  };
+
+  it('POSTs the statements with the xAPI version and basic auth', async () => {
+    const { fetch, sent } = sendWith(new Response(null, { status: 200 }));
+    await sent;
+
+    const [url, { method, headers, body }] = fetch.mock.calls[0].arguments;
+    assert.equal(url, 'https://lrs.example/xapi/statements');
+    assert.equal(method, 'POST');
+    assert.equal(headers['X-Experience-API-Version'], '1.0.3');
+    assert.equal(headers.Authorization, `Basic ${btoa('key:secret')}`);
+    assert.deepEqual(JSON.parse(body), [{ id: 'a' }]);
+  });
+
+  it('marks server errors, timeouts, rate limits and network errors as retryable', async () => {
+    for (const status of [500, 503, 408, 429]) {
+      await assert.rejects(sendWith(new Response(null, { status })).sent, { name: 'LrsError', status, retryable: true });
+      mock.restoreAll();
+    }
+    await assert.rejects(sendWith(new TypeError('Failed to fetch')).sent, { name: 'LrsError', message: 'Network error: Failed to fetch', retryable: true });
+  });
+
+  it('marks other 4xx responses as rejected', async () => {
+    for (const status of [400, 403, 409]) {
+      await assert.rejects(sendWith(new Response(null, { status })).sent, { name: 'LrsError', status, retryable: false });
+      mock.restoreAll();
+    }
+  });
+});
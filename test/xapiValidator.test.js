@@ -0,0 +1,193 @@
+// Tests for src/utils/xapiValidator.js
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { isDuration, isIRI, isTimestamp, isUUID, normalizeStatement, validateStatement } from '../src/utils/xapiValidator.js';
+
+const REGISTRATION = '3f2b8c1e-5d4a-4b6f-9e7d-1a2b3c4d5e6f';
+
+// An answered statement as H5P.PersonalityQuiz sends it, after the tracker set the actor
+const answeredStatement = () => ({
+  actor: { objectType: 'Agent', name: 'Learner', account: { homePage: 'https://quiz.example', name: 'learner-1' } },
+  verb: { id: 'http://adlnet.gov/expapi/verbs/answered', display: { 'en-US': 'answered' } },
+  object: {
+    objectType: 'Activity',
+    id: 'https://quiz.example/h5p/personality-quiz?subContentId=question-1',
+    definition: {
+      name: { 'en-US': 'Who will inherit your company shares?' },
+      type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+      interactionType: 'choice',
+      choices: [
+        { id: '0', description: { 'en-US': 'My family' } },
+        { id: '1', description: { 'en-US': 'A will and a shareholder agreement' } }
+      ]
+    }
+  },
+  result: {
+    response: '1',
+    duration: 'PT4.5S',
+    extensions: {
+      'https://h5p.org/x-api/personality-quiz/personalities': [{ id: 'visionary', name: 'The Visionary', weight: 1 }]
+    }
+  },
+  context: {
+    registration: REGISTRATION,
+    contextActivities: { parent: [{ id: 'https://quiz.example/h5p/personality-quiz' }] },
+    extensions: { 'https://h5p.org/x-api/personality-quiz/total': 5 }
+  }
+});
+
+// Applies a change to a fresh statement and returns the errors it gets
+const errorsFor = (change) => {
+  const statement = answeredStatement();
+  change(statement);
+  return validateStatement(statement).errors;
+};
+
+describe('validateStatement', () => {
+  it('accepts a complete statement', () => {
+    const { valid, errors, statement } = validateStatement(answeredStatement());
+
+    assert.deepEqual(errors, []);
+    assert.equal(valid, true);
+    assert.ok(isUUID(statement.id));
+    assert.ok(isTimestamp(statement.timestamp));
+  });
+
+  it('accepts groups, statement references and sub-statements as objects', () => {
+    const agent = { mbox: 'mailto:learner@quiz.example' };
+    assert.deepEqual(errorsFor(statement => {
+      statement.actor = { objectType: 'Group', member: [agent, { mbox_sha1sum: 'a'.repeat(40) }] };
+    }), []);
+    assert.deepEqual(errorsFor(statement => {
+      statement.object = { objectType: 'StatementRef', id: REGISTRATION };
+      delete statement.context;
+    }), []);
+    assert.deepEqual(errorsFor(statement => {
+      statement.object = { objectType: 'SubStatement', actor: agent, verb: statement.verb, object: { id: 'https://quiz.example/a' } };
+      delete statement.context;
+    }), []);
+  });
+
+  it('rejects values that are not statements', () => {
+    assert.deepEqual(validateStatement(null), { valid: false, errors: ['statement: must be an object'], statement: null });
+    assert.equal(validateStatement([]).valid, false);
+  });
+
+  const rejections = [
+    ['a malformed id', s => { s.id = 'not-a-uuid'; }, 'statement.id: must be a UUID'],
+    ['a malformed timestamp', s => { s.timestamp = '19/10/2026'; }, 'statement.timestamp: must be an ISO 8601 timestamp'],
+    ['an impossible timestamp', s => { s.timestamp = '2026-13-45T10:00:00Z'; }, 'statement.timestamp: must be an ISO 8601 timestamp'],
+    ['a missing actor', s => { delete s.actor; }, 'statement.actor: is required'],
+    ['an actor without an identifier', s => { delete s.actor.account; }, 'statement.actor: must have exactly one identifier (mbox, mbox_sha1sum, openid or account), found 0'],
+    ['an actor with two identifiers', s => { s.actor.mbox = 'mailto:learner@quiz.example'; }, 'statement.actor: must have exactly one identifier (mbox, mbox_sha1sum, openid or account), found 2'],
+    ['an mbox that is not a mailto: IRI', s => { s.actor = { mbox: 'learner@quiz.example' }; }, 'statement.actor.mbox: must be a mailto: IRI'],
+    ['an mbox_sha1sum that is not a SHA1 hash', s => { s.actor = { mbox_sha1sum: 'abc' }; }, 'statement.actor.mbox_sha1sum: must be a hex encoded SHA1 hash'],
+    ['an openid that is not an IRI', s => { s.actor = { openid: 'learner' }; }, 'statement.actor.openid: must be an IRI'],
+    ['an account without a homePage', s => { delete s.actor.account.homePage; }, 'statement.actor.account.homePage: must be an IRL'],
+    ['an account without a name', s => { s.actor.account.name = ''; }, 'statement.actor.account.name: is required'],
+    ['an actor name that is not a string', s => { s.actor.name = 42; }, 'statement.actor.name: must be a string'],
+    ['an unknown actor objectType', s => { s.actor.objectType = 'Person'; }, 'statement.actor.objectType: must be "Agent" or "Group"'],
+    ['an anonymous group without members', s => { s.actor = { objectType: 'Group', member: [] }; }, 'statement.actor.member: is required for anonymous groups'],
+    ['a group member without an identifier', s => { s.actor = { objectType: 'Group', member: [{ name: 'Learner' }] }; }, 'statement.actor.member[0]: must have exactly one identifier (mbox, mbox_sha1sum, openid or account), found 0'],
+    ['a missing verb', s => { delete s.verb; }, 'statement.verb: is required'],
+    ['a verb id that is not an IRI', s => { s.verb.id = 'answered'; }, 'statement.verb.id: must be an IRI'],
+    ['an invalid language tag', s => { s.verb.display = { 'en US': 'answered' }; }, 'statement.verb.display.en US: invalid language tag'],
+    ['a language map entry that is not a string', s => { s.verb.display = { en: ['answered'] }; }, 'statement.verb.display.en: must be a string'],
+    ['a missing object', s => { delete s.object; }, 'statement.object: is required'],
+    ['an activity id that is not an IRI', s => { s.object.id = 'question-1'; }, 'statement.object.id: must be an IRI'],
+    ['an unknown interaction type', s => { s.object.definition.interactionType = 'multiple-choice'; }, 'statement.object.definition.interactionType: must be one of true-false, choice, fill-in, long-fill-in, matching, performance, sequencing, likert, numeric, other'],
+    ['choices without an interaction type', s => { delete s.object.definition.interactionType; }, 'statement.object.definition.choices: requires interactionType'],
+    ['duplicate choice ids', s => { s.object.definition.choices[1].id = '0'; }, 'statement.object.definition.choices[1].id: duplicate id "0"'],
+    ['a choice without an id', s => { s.object.definition.choices[0] = { description: { en: 'My family' } }; }, 'statement.object.definition.choices[0].id: is required'],
+    ['an activity type that is not an IRI', s => { s.object.definition.type = 'interaction'; }, 'statement.object.definition.type: must be an IRI'],
+    ['a statement reference without a UUID', s => { s.object = { objectType: 'StatementRef', id: 'previous' }; delete s.context; }, 'statement.object.id: must be a UUID'],
+    ['a nested sub-statement', s => {
+      s.object = { objectType: 'SubStatement', actor: s.actor, verb: s.verb, object: { objectType: 'SubStatement' } };
+      delete s.context;
+    }, 'statement.object.object.objectType: SubStatements must not be nested'],
+    ['an id in a sub-statement', s => {
+      s.object = { objectType: 'SubStatement', id: REGISTRATION, actor: s.actor, verb: s.verb, object: { id: 'https://quiz.example/a' } };
+      delete s.context;
+    }, 'statement.object.id: is not allowed in a SubStatement'],
+    ['an unknown object type', s => { s.object.objectType = 'Page'; }, 'statement.object.objectType: unknown objectType "Page"'],
+    ['a score that is not a number', s => { s.result.score = { raw: '3' }; }, 'statement.result.score.raw: must be a number'],
+    ['a scaled score out of range', s => { s.result.score = { scaled: 1.5 }; }, 'statement.result.score.scaled: must be between -1 and 1'],
+    ['a score min not below max', s => { s.result.score = { min: 5, max: 5 }; }, 'statement.result.score.min: must be less than max'],
+    ['a raw score below min', s => { s.result.score = { raw: 1, min: 2, max: 5 }; }, 'statement.result.score.raw: must not be less than min'],
+    ['a raw score above max', s => { s.result.score = { raw: 6, min: 0, max: 5 }; }, 'statement.result.score.raw: must not be greater than max'],
+    ['a completion that is not a boolean', s => { s.result.completion = 'yes'; }, 'statement.result.completion: must be a boolean'],
+    ['a response that is not a string', s => { s.result.response = 1; }, 'statement.result.response: must be a string'],
+    ['a malformed duration', s => { s.result.duration = '4.5 seconds'; }, 'statement.result.duration: must be an ISO 8601 duration'],
+    ['an extension key that is not an IRI', s => { s.result.extensions = { personalities: [] }; }, 'statement.result.extensions: extension key "personalities" is not an IRI'],
+    ['a registration that is not a UUID', s => { s.context.registration = 'attempt-1'; }, 'statement.context.registration: must be a UUID'],
+    ['a team that is not a group', s => { s.context.team = { mbox: 'mailto:team@quiz.example' }; }, 'statement.context.team: must be a Group'],
+    ['an invalid context language', s => { s.context.language = 'english!'; }, 'statement.context.language: invalid language tag'],
+    ['an unknown context activity key', s => { s.context.contextActivities = { parents: [] }; }, 'statement.context.contextActivities.parents: unknown context activity key'],
+    ['a context activity without an IRI', s => { s.context.contextActivities.parent = { id: 'quiz' }; }, 'statement.context.contextActivities.parent[0].id: must be an IRI'],
+    ['a revision for an object that is not an activity', s => {
+      s.object = { objectType: 'StatementRef', id: REGISTRATION };
+      s.context = { revision: '2' };
+    }, 'statement.context: revision and platform are only allowed for Activity objects']
+  ];
+
+  rejections.forEach(([description, change, error]) => {
+    it(`rejects ${description}`, () => {
+      assert.deepEqual(errorsFor(change), [error]);
+    });
+  });
+});
+
+describe('normalizeStatement', () => {
+  it('fills in the id, the timestamp and the account homePage', () => {
+    const statement = answeredStatement();
+    delete statement.actor.account.homePage;
+
+    const before = Date.now();
+    const normalized = normalizeStatement(statement, { homePage: 'https://quiz.example' });
+
+    assert.ok(isUUID(normalized.id));
+    assert.ok(Date.parse(normalized.timestamp) >= before && Date.parse(normalized.timestamp) <= Date.now());
+    assert.equal(normalized.actor.account.homePage, 'https://quiz.example');
+    assert.equal(validateStatement(statement, { homePage: 'https://quiz.example' }).valid, true);
+  });
+
+  it('keeps what the statement already has and leaves the original alone', () => {
+    const statement = { ...answeredStatement(), id: REGISTRATION, timestamp: '2026-10-19T10:00:00.000Z' };
+
+    const normalized = normalizeStatement(statement, { homePage: 'https://other.example' });
+
+    assert.equal(normalized.id, REGISTRATION);
+    assert.equal(normalized.timestamp, '2026-10-19T10:00:00.000Z');
+    assert.equal(normalized.actor.account.homePage, 'https://quiz.example');
+    assert.notEqual(normalized, statement);
+    assert.deepEqual(statement, { ...answeredStatement(), id: REGISTRATION, timestamp: '2026-10-19T10:00:00.000Z' });
+  });
+
+  it('gives each statement its own id', () => {
+    assert.notEqual(normalizeStatement(answeredStatement()).id, normalizeStatement(answeredStatement()).id);
+  });
+
+  it('does not add a homePage without a default or to actors without an account', () => {
+    const withoutDefault = answeredStatement();
+    delete withoutDefault.actor.account.homePage;
+    assert.equal(normalizeStatement(withoutDefault).actor.account.homePage, undefined);
+
+    const mboxActor = { ...answeredStatement(), actor: { mbox: 'mailto:learner@quiz.example' } };
+    assert.deepEqual(normalizeStatement(mboxActor, { homePage: 'https://quiz.example' }).actor, { mbox: 'mailto:learner@quiz.example' });
+  });
+});
+
+describe('format checks', () => {
+  it('recognises UUIDs, IRIs, durations and timestamps', () => {
+    assert.ok(isUUID(REGISTRATION));
+    assert.ok(!isUUID('3f2b8c1e-5d4a-0b6f-9e7d-1a2b3c4d5e6f'));
+    assert.ok(isIRI('https://h5p.org/x-api/personality-quiz/total'));
+    assert.ok(isIRI('urn:uuid:3f2b8c1e'));
+    assert.ok(!isIRI('personality quiz'));
+    assert.ok(isDuration('PT1H30M') && isDuration('P1DT0.5S'));
+    assert.ok(!isDuration('P') && !isDuration('PT') && !isDuration('1H'));
+    assert.ok(isTimestamp('2026-10-19T10:00:00Z') && isTimestamp('2026-10-19T10:00+02:00'));
+    assert.ok(!isTimestamp('2026-10-19') && !isTimestamp(1760868000000));
+  });
+});
@@ -0,0 +1,94 @@
+// Tests for scripts/zip-reader.cjs
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+
+const { readZip } = require('../scripts/zip-reader.cjs');
+const { createZip } = require('./helpers/zip.cjs');
+
+const text = 'The same line, over and over. '.repeat(20);
+
+// Offsets of the end of central directory record and the first central directory entry
+const endOfCentralDirectory = (buffer) => buffer.length - 22;
+const centralDirectory = (buffer) => buffer.readUInt32LE(endOfCentralDirectory(buffer) + 16);
+
+const rejects = (buffer, message, options) => assert.throws(() => readZip(buffer, options), { name: 'ZipError', message });
+
+describe('readZip', () => {
+  it('reads stored and deflated entries', () => {
+    const entries = readZip(createZip([
+      { name: 'content/', method: 'store' },
+      { name: 'content/stored.txt', data: text, method: 'store' },
+      { name: 'content/deflated.txt', data: text }
+    ]));
+
+    assert.deepEqual(entries.map(({ name, directory, size }) => ({ name, directory, size })), [
+      { name: 'content/', directory: true, size: 0 },
+      { name: 'content/stored.txt', directory: false, size: text.length },
+      { name: 'content/deflated.txt', directory: false, size: text.length }
+    ]);
+    assert.equal(entries[1].read().toString(), text);
+    assert.equal(entries[2].read().toString(), text);
+  });
+
+  it('reads the fixture package', () => {
+    const entries = readZip(fs.readFileSync(path.join(__dirname, 'fixtures', 'tiny-quiz.h5p')));
+    const h5p = JSON.parse(entries.find(entry => entry.name === 'h5p.json').read());
+
+    assert.equal(h5p.mainLibrary, 'H5P.Tiny');
+  });
+
+  it('rejects files that are not zip archives', () => {
+    rejects(Buffer.from('PK'), /too short/);
+    rejects(Buffer.alloc(100), /end of central directory not found/);
+  });
+
+  it('rejects multi-disk archives', () => {
+    const buffer = createZip([{ name: 'h5p.json', data: '{}' }]);
+    buffer.writeUInt16LE(1, endOfCentralDirectory(buffer) + 4);
+
+    rejects(buffer, /multi-disk archives are not supported/);
+  });
+
+  it('rejects zip64 archives', () => {
+    const buffer = createZip([{ name: 'h5p.json', data: '{}' }]);
+    buffer.writeUInt32LE(0xffffffff, endOfCentralDirectory(buffer) + 16);
+
+    rejects(buffer, /zip64 archives are not supported/);
+  });
+
+  it('rejects encrypted entries and unknown compression methods', () => {
+    rejects(createZip([{ name: 'secret.json', data: '{}', flags: 0x1 }]), /secret\.json: encrypted entries are not supported/);
+
+    const buffer = createZip([{ name: 'h5p.json', data: '{}' }]);
+    buffer.writeUInt16LE(12, centralDirectory(buffer) + 10);
+    rejects(buffer, /h5p\.json: compression method 12 is not supported/);
+  });
+
+  it('rejects a corrupt central directory', () => {
+    const buffer = createZip([{ name: 'h5p.json', data: '{}' }]);
+    buffer.writeUInt32LE(0, centralDirectory(buffer));
+
+    rejects(buffer, /corrupt central directory at entry 0/);
+  });
+
+  it('rejects archives that expand beyond maxSize', () => {
+    const buffer = createZip([{ name: 'a.txt', data: text }, { name: 'b.txt', data: text }]);
+
+    assert.equal(readZip(buffer, { maxSize: text.length * 2 }).length, 2);
+    rejects(buffer, /archive expands to more than 1000 bytes/, { maxSize: 1000 });
+  });
+
+  it('checks the local header, size and checksum of an entry when it is read', () => {
+    const corrupt = (change) => {
+      const buffer = createZip([{ name: 'a.txt', data: text, method: 'store' }]);
+      change(buffer);
+      return readZip(buffer)[0];
+    };
+
+    assert.throws(() => corrupt(buffer => buffer.writeUInt32LE(0, 0)).read(), { name: 'ZipError', message: /a\.txt: corrupt local header/ });
+    assert.throws(() => corrupt(buffer => buffer.writeUInt32LE(text.length + 1, centralDirectory(buffer) + 24)).read(), { name: 'ZipError', message: /a\.txt: size mismatch/ });
+    assert.throws(() => corrupt(buffer => { buffer[30 + 'a.txt'.length] ^= 0xff; }).read(), { name: 'ZipError', message: /a\.txt: checksum mismatch/ });
+  });
+});
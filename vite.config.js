@@ -1,7 +1,65 @@
- import { defineConfig } from 'vite'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { join } from 'node:path'
+import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const require = createRequire(import.meta.url)
+
+// Copies each H5P package to dist/h5p-v/<content hash>/ and writes dist/h5p/activities.json with
+// the hashes, so the player loads every package from a URL whose bytes never change (the dev
+// server keeps loading the unversioned public/h5p/). Runs before offlineServiceWorker, which reads it.
+function h5pVersionedContent() {
+  return {
+    name: 'h5p-versioned-content',
+    apply: 'build',
+    writeBundle: {
+      sequential: true,
+      async handler(options) {
+        const { writeVersionedContent } = require('./scripts/versioned-content.cjs')
+        const activities = await writeVersionedContent(options.dir)
+        this.info(`${activities.filter(activity => activity.version).length} of ${activities.length} activities versioned`)
+      },
+    },
+  }
+}
+
+// The H5P bases the app is built with, as src/config/h5pActivities.js resolves them
+const h5pBases = ({ base, env }) => ({
+  player: env.VITE_H5P_PLAYER_BASE || `${base}assets/h5p-player`,
+  content: env.VITE_H5P_CONTENT_BASE || `${base}h5p`,
+  versioned: env.VITE_H5P_VERSIONED_BASE ?? `${base}h5p-v`,
+})
+
+// Writes dist/sw.js: src/service-worker.js behind the list of files to precache for offline use
+// and the H5P bases it routes requests by
+function offlineServiceWorker() {
+  let base
+  let bases
+  return {
+    name: 'offline-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      base = config.base
+      bases = h5pBases(config)
+    },
+    writeBundle: {
+      sequential: true,
+      async handler(options, bundle) {
+        const { buildPrecacheManifest } = require('./scripts/precache-manifest.cjs')
+        const built = Object.keys(bundle).filter(file => file.startsWith('assets/')).map(file => `${base}${file}`)
+        const { activities } = JSON.parse(readFileSync(join(options.dir, 'h5p', 'activities.json'), 'utf8'))
+        const manifest = await buildPrecacheManifest({ shell: [base, ...built], outDir: options.dir, base, bases, activities })
+        const template = readFileSync(new URL('./src/service-worker.js', import.meta.url), 'utf8')
+
+        writeFileSync(join(options.dir, 'sw.js'), `self.__PRECACHE = ${JSON.stringify(manifest)};\n\n${template}`)
+        this.info(`sw.js precaches ${manifest.shell.length + manifest.files.length} files (version ${manifest.version})`)
+      },
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), h5pVersionedContent(), offlineServiceWorker()],
 })